@@ -0,0 +1,239 @@
+var Class = require('klasse');
+var TintCache = require('./index');
+
+/**
+ * A TintManager hands out a TintCache per Image source, and enforces one
+ * global budget across all of them. The budget may be counted in entries
+ * (cached tints) or in bytes (width * height * 4 for every canvas held by
+ * a cache, or every page of its atlas). When a cache needs room for a new tint, the manager evicts the
+ * tint chosen by its eviction policy, regardless of which source it belongs to.
+ *
+ * The `size` of each cache still acts as an upper bound for that source.
+ *
+ * @class TintManager
+ * @constructor
+ * @param {Object} options the budget (`maxEntries` and/or `maxBytes`), the `eviction`
+ *                         policy, and any defaults for the caches (`size`, `mode`, etc)
+ */
+var TintManager = new Class({
+
+    initialize: function(options) {
+        options = options || {};
+
+        /**
+         * The maximum number of tints held across all caches, or
+         * Infinity for no limit.
+         *
+         * @property {Number} maxEntries
+         */
+        this.maxEntries = options.maxEntries || Infinity;
+
+        /**
+         * The maximum number of bytes held by canvases across all caches,
+         * or Infinity for no limit.
+         *
+         * @property {Number} maxBytes
+         */
+        this.maxBytes = options.maxBytes || Infinity;
+
+        //the defaults for new caches; we always use our own eviction policy
+        this.options = options;
+
+        //parallel arrays of sources and their caches
+        this.sources = [];
+        this.caches = [];
+
+        var policy = options.eviction || TintCache.DEFAULT_EVICTION;
+        if (typeof policy === "string") {
+            if (!TintCache.Eviction.hasOwnProperty(policy))
+                throw new Error("TintCache.Eviction must be one of FIFO, LRU, or LFU");
+            policy = TintCache.Eviction[policy];
+        }
+        this._policy = policy;
+    },
+
+    /**
+     * The policy used to decide which tint is evicted across all caches.
+     * This is applied to every cache created by the manager.
+     *
+     * @property {Function} eviction
+     * @readOnly
+     */
+    eviction: {
+        get: function() {
+            return this._policy;
+        }
+    },
+
+    /**
+     * Returns the TintCache for the given source, creating it if necessary.
+     * The options are only used when the cache is created, and are
+     * merged with the defaults given to the manager.
+     *
+     * @param  {Image} source the Image source
+     * @param  {Object} options the options for the new cache (optional)
+     * @return {TintCache} the cache for that source
+     */
+    get: function(source, options) {
+        var i = this.sources.indexOf(source);
+        if (i !== -1)
+            return this.caches[i];
+
+        var opts = {};
+        var k;
+        for (k in this.options)
+            opts[k] = this.options[k];
+        for (k in options)
+            opts[k] = options[k];
+
+        opts.eviction = this._policy;
+        if (!opts.size)
+            opts.size = Math.min(TintManager.DEFAULT_CACHE_SIZE, this.maxEntries);
+
+        var cache = new TintCache(source, opts);
+        cache.manager = this;
+
+        this.sources.push(source);
+        this.caches.push(cache);
+        return cache;
+    },
+
+    /**
+     * Destroys and forgets the cache for the given source. Returns
+     * true if the source was being managed.
+     *
+     * @param  {Image} source the Image source
+     * @return {Boolean} whether the source was found
+     */
+    remove: function(source) {
+        var i = this.sources.indexOf(source);
+        if (i === -1)
+            return false;
+        this.caches[i].destroy();
+        this.caches[i].manager = null;
+        this.sources.splice(i, 1);
+        this.caches.splice(i, 1);
+        return true;
+    },
+
+    /**
+     * Reports the memory used by each source, and in total. The result looks like:
+     *
+     * ```
+     *     {
+     *         entries: 12,
+     *         bytes: 49152,
+     *         sources: [ { source: img, cache: tintCache, entries: 12, bytes: 49152 }, ... ]
+     *     }
+     * ```
+     *
+     * Entries are the tints currently cached, and bytes are counted for every
+     * canvas held by a cache, including those kept around for re-use, and for
+     * every page of its atlas.
+     *
+     * @return {Object} the usage report
+     */
+    usage: function() {
+        var report = { entries: 0, bytes: 0, sources: [] };
+
+        for (var i=0; i<this.caches.length; i++) {
+            var cache = this.caches[i],
+                entries = 0,
+                bytes = cache._canvasBytes();
+
+            for (var j=0; j<cache.tints.length; j++) {
+                if (cache.descriptors[j] && cache.tints[j] !== TintCache.NONE)
+                    entries++;
+            }
+
+            report.entries += entries;
+            report.bytes += bytes;
+            report.sources.push({ source: this.sources[i], cache: cache, entries: entries, bytes: bytes });
+        }
+        return report;
+    },
+
+    /**
+     * Called by a managed cache before it stores a new tint of the given size
+     * at `index`. This evicts tints from any cache until the new tint fits in
+     * the budget. If everything left is pinned, the budget is allowed to overflow.
+     *
+     * @private
+     */
+    _reserve: function(target, index, width, height) {
+        var addEntries = target.tints[index] === TintCache.NONE ? 1 : 0;
+        var addBytes = target._growth(index, width, height);
+
+        while (true) {
+            var entries = 0,
+                bytes = 0,
+                spareCache = null,
+                spareIndex = -1,
+                victimCache = null,
+                victimIndex = -1;
+
+            for (var i=0; i<this.caches.length; i++) {
+                var cache = this.caches[i];
+                bytes += cache._canvasBytes();
+
+                for (var j=0; j<cache.tints.length; j++) {
+                    var descriptor = cache.descriptors[j];
+                    if (!descriptor)
+                        continue;
+
+                    //the slot we are making room for
+                    if (cache === target && j === index)
+                        continue;
+
+                    //a canvas kept around for re-use
+                    if (cache.tints[j] === TintCache.NONE) {
+                        if (spareIndex === -1) {
+                            spareCache = cache;
+                            spareIndex = j;
+                        }
+                        continue;
+                    }
+
+                    entries++;
+                    if (!descriptor.pinned && (victimIndex === -1 
+                            || this._policy(descriptor, victimCache.descriptors[victimIndex]) < 0)) {
+                        victimCache = cache;
+                        victimIndex = j;
+                    }
+                }
+            }
+
+            var overEntries = entries + addEntries > this.maxEntries,
+                overBytes = bytes + addBytes > this.maxBytes;
+
+            if (!overEntries && !overBytes)
+                return;
+
+            //unused canvases are the first to go when memory is the problem
+            if (overBytes && spareIndex !== -1)
+                spareCache._free(spareIndex);
+            else if (victimIndex !== -1)
+                victimCache._free(victimIndex);
+            else
+                return;
+        }
+    },
+
+    /**
+     * Destroys every cache and forgets all sources.
+     */
+    destroy: function() {
+        while (this.caches.length > 0)
+            this.remove(this.sources[0]);
+    }
+});
+
+/**
+ * The default `size` of caches created by a manager, if none is given.
+ * This is capped to `maxEntries`.
+ *
+ * @attribute {Number} DEFAULT_CACHE_SIZE
+ */
+TintManager.DEFAULT_CACHE_SIZE = 256;
+
+module.exports = TintManager;
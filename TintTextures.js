@@ -0,0 +1,155 @@
+var Class = require('klasse');
+
+/**
+ * Keeps a WebGL texture for each tint of a TintCache, so a WebGL renderer
+ * can share the cache with a 2D canvas one. Textures are uploaded the first
+ * time a tint is asked for, and again only if its slot is given a new tint;
+ * they are deleted when the tint is evicted, or the cache is cleared, reset
+ * or destroyed.
+ *
+ * Options:
+ *
+ * - `filter` the min and mag filter (default `gl.LINEAR`)
+ * - `wrap` the wrap mode for both axes (default `gl.CLAMP_TO_EDGE`,
+ *   which works for any texture size in WebGL 1)
+ * - `premultiplyAlpha` whether to premultiply on upload (default false)
+ *
+ * @class TintTextures
+ * @constructor
+ * @param {TintCache} cache the cache to make textures for
+ * @param {WebGLRenderingContext} gl the WebGL context
+ * @param {Object} options the options (optional)
+ */
+var TintTextures = new Class({
+
+    initialize: function(cache, gl, options) {
+        if (!cache)
+            throw new Error("no TintCache specified for TintTextures");
+        if (!gl)
+            throw new Error("no WebGL context specified for TintTextures");
+        options = options || {};
+
+        /**
+         * The cache these textures are made from.
+         *
+         * @property {TintCache} cache
+         * @readOnly
+         */
+        this.cache = cache;
+
+        /**
+         * The WebGL context these textures belong to.
+         *
+         * @property {WebGLRenderingContext} gl
+         * @readOnly
+         */
+        this.gl = gl;
+
+        this.filter = options.filter || gl.LINEAR;
+        this.wrap = options.wrap || gl.CLAMP_TO_EDGE;
+        this.premultiplyAlpha = !!options.premultiplyAlpha;
+
+        //slot index -> { texture, version }
+        this.textures = [];
+
+        //used to copy regions out of an atlas for upload
+        this._scratch = null;
+
+        this._onRelease = this._release.bind(this);
+        cache._watch(this._onRelease);
+    },
+
+    /**
+     * Returns the texture for a tint, uploading it if necessary. This takes
+     * the same arguments as `TintCache.tinted()`, and returns null if the
+     * source isn't ready. The texture is left bound to TEXTURE_2D.
+     *
+     * @method texture
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255 (or the whole color)
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {WebGLTexture} the texture, or null
+     */
+    texture: function() {
+        var cache = this.cache,
+            gl = this.gl;
+
+        var i = cache._tinted.apply(cache, arguments);
+        if (i === -1)
+            return null;
+
+        var descriptor = cache.descriptors[i],
+            entry = this.textures[i];
+
+        if (entry && entry.version === descriptor.version) {
+            gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+            return entry.texture;
+        }
+
+        if (!entry) {
+            entry = this.textures[i] = {
+                texture: gl.createTexture(),
+                version: -1
+            };
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, this.premultiplyAlpha);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this._image(descriptor));
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, this.filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, this.filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, this.wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, this.wrap);
+
+        entry.version = descriptor.version;
+        return entry.texture;
+    },
+
+    /**
+     * Deletes every texture, and stops watching the cache.
+     *
+     * @method destroy
+     */
+    destroy: function() {
+        this._release(-1);
+        this.cache._unwatch(this._onRelease);
+    },
+
+    //Returns what to upload for a descriptor; regions of an atlas are copied out
+    _image: function(descriptor) {
+        if (!descriptor.slot)
+            return this.cache._output(descriptor);
+
+        var width = descriptor.width,
+            height = descriptor.height,
+            scratch = this._scratch;
+
+        if (!scratch)
+            scratch = this._scratch = this.cache.createCanvas(width, height);
+        scratch.width = width;
+        scratch.height = height;
+
+        var context = scratch.getContext("2d");
+        context.clearRect(0, 0, width, height);
+        context.drawImage(descriptor.canvas, descriptor.sx, descriptor.sy, width, height, 0, 0, width, height);
+        return scratch;
+    },
+
+    //Deletes the texture of a slot, or of every slot for -1
+    _release: function(index) {
+        var start = index === -1 ? 0 : index,
+            end = index === -1 ? this.textures.length : index + 1;
+
+        for (var i=start; i<end; i++) {
+            var entry = this.textures[i];
+            if (entry) {
+                this.gl.deleteTexture(entry.texture);
+                this.textures[i] = null;
+            }
+        }
+    }
+});
+
+module.exports = TintTextures;
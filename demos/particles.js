@@ -39,7 +39,8 @@ domready(function() {
         size: 300,
         fuzziness: 1,
         rounding: 15,
-        mode: TintCache.Mode.BEST
+        mode: TintCache.Mode.BEST,
+        eviction: TintCache.Eviction.LRU
     });
 
     var numParticles = 50;
@@ -68,14 +69,13 @@ domready(function() {
 
     //To ensure we have a wide range of colors, we will pre-populate it.
     //This will also avoid any intitial stuttering as the cache is being filled. 
+    //The work is spread across several frames, so the page stays responsive.
     function populateCache() {
-        for (var i=0, b=0; i<tintCache.size; i++) {
-            //get the next particle
-            var p = particles[i % particles.length];
-            // tintCache.cache( 0, p.color.g, i%256 );
-        }
+        var colors = TintCache.gradient([0, 0, 0], [255, 255, 255], tintCache.size);
 
-        requestAnimationFrame(render);
+        tintCache.warm(colors, { budgetMs: 8 }).then(function() {
+            requestAnimationFrame(render);
+        });
     }
 
     function render() { 
@@ -84,7 +84,7 @@ domready(function() {
 
         time += 0.01;
 
-        tintCache.tintsProcessed = 0;
+        tintCache.resetStats();
 
         var imgWidth = img.width,
             imgHeight = img.height;
@@ -120,14 +120,15 @@ domready(function() {
             context.drawImage(tintedImage, p.x-imgWidth/2, p.y-imgHeight/2);
         }
 
-        if (tintCache.tintsProcessed>0)
-            processed+=tintCache.tintsProcessed;
-
-        debugText.innerHTML = "Processed: " +processed;
-
         //We can see how many tints are processed per frame like so:
-        //With a well-sized and fuzzy cache, ideally we want zero.
-        
+        //With a well-sized and fuzzy cache, ideally we want zero misses.
+        var stats = tintCache.stats();
+        processed += stats.misses;
+
+        debugText.innerHTML = "Processed: " + processed 
+                + " | Hits: " + stats.hits 
+                + " | Fuzzy: " + stats.fuzzyHits 
+                + " | Evictions: " + stats.evictions;
     }
 
 
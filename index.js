@@ -1,10 +1,31 @@
 var Class = require('klasse');
 var ImageBuffer = require('imagebuffer');
 var util = require('imagetint');
-var rgb2lab = require('colordiff').rgb2lab;
+var rgb2lab = require('./lib/rgb2lab');
+var lab2rgb = require('./lib/lab2rgb');
+var Distance = require('./lib/distance');
+var Eviction = require('./lib/eviction');
+var LabGrid = require('./lib/LabGrid');
+var Atlas = require('./lib/Atlas');
+var IndexedDBStore = require('./lib/IndexedDBStore');
+var colors = require('./lib/colors');
+var Blend = require('./lib/blend');
+var hsl = require('./lib/hsl');
+var gradientMap = require('./lib/gradientMap');
+var downsample = require('./lib/downsample');
+var linear = require('./lib/linear');
+var Sequence = require('./lib/Sequence');
 
 var detectToDataURL = null;
 
+//A counter which is ticked on every lookup, used for recency. It's shared
+//by every TintCache so that a TintManager can compare tints across caches.
+var clock = 0;
+
+//The id of the last request sent to a worker; shared so that
+//several caches can use the same worker
+var requestId = 0;
+
 function isDataURLSupported(canvas) {
     if (detectToDataURL === null) {
         detectToDataURL = (typeof canvas.toDataURL === "function" || typeof canvas.toDataURLHD === "function");
@@ -27,6 +48,255 @@ function toDataURL(canvas) {
     return null;
 }
 
+//The default factories, used when none are given in the options
+function createCanvas(width, height) {
+    var canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function createImage() {
+    return new Image();
+}
+
+function createBitmap(canvas) {
+    return typeof createImageBitmap === "function" ? createImageBitmap(canvas) : null;
+}
+
+var components = colors.components;
+
+function now() {
+    return (typeof performance !== "undefined" && performance.now) ? performance.now() : Date.now();
+}
+
+//Schedules work for the next idle period or frame, whichever is available
+function schedule(fn) {
+    if (typeof requestIdleCallback === "function")
+        requestIdleCallback(fn);
+    else if (typeof requestAnimationFrame === "function")
+        requestAnimationFrame(fn);
+    else
+        setTimeout(fn, 0);
+}
+
+function isStorage(storage) {
+    for (var k in TintCache.Storage) {
+        if (TintCache.Storage[k] === storage)
+            return true;
+    }
+    return false;
+}
+
+//An error for a snapshot which can't be used with this source or version
+function staleError(message) {
+    var error = new Error(message);
+    error.stale = true;
+    return error;
+}
+
+//A 32-bit FNV-1a hash of some bytes, as a hex string
+function hashBytes(bytes) {
+    var hash = 0x811c9dc5;
+    for (var i=0; i<bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return ("0000000" + (hash >>> 0).toString(16)).slice(-8);
+}
+
+//Encodes a canvas as a PNG blob
+function toBlob(canvas) {
+    if (typeof canvas.convertToBlob === "function")
+        return canvas.convertToBlob({ type: "image/png" });
+    return new Promise(function(resolve, reject) {
+        if (typeof canvas.toBlob !== "function") {
+            reject(new Error("cannot encode PNGs from this canvas"));
+            return;
+        }
+        canvas.toBlob(function(blob) {
+            if (blob)
+                resolve(blob);
+            else
+                reject(new Error("could not encode the tint as a PNG"));
+        }, "image/png");
+    });
+}
+
+//Packs a color into the integer key used by the cache. Alpha is
+//inverted so that opaque tints are plain 0xRRGGBB values; the result
+//is a signed 32-bit integer, and so it can never equal TintCache.NONE.
+function pack(r, g, b, a) {
+    return ((255 - a) << 24) | (r << 16) | (g << 8) | b;
+}
+
+//The media events which mean the pixels of a source have changed
+var SOURCE_EVENTS = [ "load", "loadeddata", "seeked" ];
+
+//Reads the parts of a source which tell us if it has changed: its size, 
+//its url (for images and videos), its time (for videos), and a `version` 
+//number which applications can bump when they redraw a canvas
+function readSource(source, out) {
+    out.width = source.width;
+    out.height = source.height;
+    out.src = source.currentSrc || source.src || null;
+    out.time = typeof source.currentTime === "number" ? source.currentTime : null;
+    out.version = source.version === undefined ? null : source.version;
+    return out;
+}
+
+function sourceChanged(source, state) {
+    return state.width !== source.width
+        || state.height !== source.height
+        || state.src !== (source.currentSrc || source.src || null)
+        || state.time !== (typeof source.currentTime === "number" ? source.currentTime : null)
+        || state.version !== (source.version === undefined ? null : source.version);
+}
+
+//Alpha is compared alongside the LAB color in the same units as lightness
+var ALPHA_SCALE = 100 / 255;
+
+//How far in each byte to look for a color in a deterministic bucket 
+//whose center rounds out of it
+var BUCKET_SEARCH = 2;
+
+function toByte(value) {
+    return ~~Math.max(0, Math.min(255, value));
+}
+
+function isByte(value) {
+    return value >= 0 && value <= 255;
+}
+
+//The saturation and lightness factors of transforms, from 0 to 2, 
+//are packed into bytes with 1 at 128 and 2 at 255
+function factorToByte(factor) {
+    return factor <= 1 ? factor * 128 : 128 + (factor - 1) * 127;
+}
+
+function byteToFactor(b) {
+    return b <= 128 ? b / 128 : 1 + (b - 128) / 127;
+}
+
+//The distance between two packed transforms, in degrees of hue (around
+//the circle) and percent of saturation, lightness and alpha; it has the
+//form of the TintCache.Distance metrics, for fuzzy lookups
+function transformDistance(h1, s1, l1, a1, h2, s2, l2, a2) {
+    var dh = Math.abs(h1 - h2) * 360 / 256,
+        ds = (byteToFactor(s1) - byteToFactor(s2)) * 100,
+        dl = (byteToFactor(l1) - byteToFactor(l2)) * 100,
+        da = (a1 - a2) * ALPHA_SCALE;
+    if (dh > 180)
+        dh = 360 - dh;
+    return Math.sqrt(dh*dh + ds*ds + dl*dl + da*da);
+}
+
+//Returns the index of the nearest color in a list of [r, g, b, a] 
+//colors by the given metric; ties go to the lower index
+function nearestColor(distance, list, r, g, b, a) {
+    var best = -1,
+        bestDist = Infinity;
+    for (var i=0; i<list.length; i++) {
+        var c = list[i],
+            d = distance(r, g, b, a, c[0], c[1], c[2], c[3]);
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    }
+    return best;
+}
+
+//Whether the [r, g, b] bytes are in the deterministic Lab bucket
+//with the given indices and size
+function inBucket(rgb, l, a, b, size, tmpLab) {
+    var lab = rgb2lab(rgb[0], rgb[1], rgb[2], tmpLab);
+    return Math.round(lab.l / size) === l
+            && Math.round(lab.a / size) === a
+            && Math.round(lab.b / size) === b;
+}
+
+//Returns the bytes nearest the center of a Lab bucket which are in the 
+//bucket, searching around the given rounded center; or null if none are.
+//Ties go to the first found, so the result is always the same.
+function nearestInBucket(center, l, a, b, size) {
+    var lab = {l:0, a:0, b:0},
+        best = null,
+        bestDist = Infinity,
+        rgb = [ 0, 0, 0 ];
+
+    for (var i=-BUCKET_SEARCH; i<=BUCKET_SEARCH; i++) {
+        for (var j=-BUCKET_SEARCH; j<=BUCKET_SEARCH; j++) {
+            for (var k=-BUCKET_SEARCH; k<=BUCKET_SEARCH; k++) {
+                rgb[0] = center[0] + i;
+                rgb[1] = center[1] + j;
+                rgb[2] = center[2] + k;
+                if (rgb[0] !== toByte(rgb[0]) || rgb[1] !== toByte(rgb[1]) || rgb[2] !== toByte(rgb[2]))
+                    continue;
+                if (!inBucket(rgb, l, a, b, size, lab))
+                    continue;
+
+                var dl = lab.l - l * size,
+                    da = lab.a - a * size,
+                    db = lab.b - b * size,
+                    d = dl * dl + da * da + db * db;
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = rgb.slice();
+                }
+            }
+        }
+    }
+    return best;
+}
+
+//Creates the record for an atlas frame; a null width and height
+//means the frame covers the whole source image.
+function createFrame(name, x, y, width, height) {
+    return {
+        name: name,
+        x: x,
+        y: y,
+        width: width,
+        height: height,
+
+        //the ImageBuffer for this region (used in BEST mode), 
+        //and a copy of the region (used by the compositing modes)
+        buffer: null,
+        canvas: null,
+
+        //the image data in linear light, for the linear option
+        linear: null,
+
+        //the lookup tables for each kind of tint (plain tints, and
+        //each blend and amount), keyed by variant; see _group
+        groups: {},
+
+        //the scaled copies of this frame by scale, and for a scaled
+        //copy, the frame it was made from; see _level
+        levels: {},
+        parent: null,
+        scale: 1
+    };
+}
+
+//Checks the scales option, returning them largest first
+function toScales(scales) {
+    if (scales === true)
+        scales = TintCache.MIPMAP_SCALES;
+    if (!Array.isArray(scales) || scales.length === 0)
+        throw new Error("TintCache scales must be true or a list of scales");
+
+    scales = scales.slice().sort(function(a, b) {
+        return b - a;
+    });
+    for (var i=0; i<scales.length; i++) {
+        if (!(scales[i] > 0 && scales[i] <= 1))
+            throw new Error("invalid scale " + scales[i] + "; must be > 0 and <= 1");
+    }
+    return scales;
+}
+
 /**
  * Creates a new TintCache with the specified Image and options (optional).
  * 
@@ -45,17 +315,111 @@ var TintCache = new Class({
         this._mode = null;
         this._usePixelData = null;
         this._colorizeOnly = null;
+        this._eviction = null;
+        this._palette = null;
+        this._paletteGrid = null;
 
         this.canvas = null;
         this.context = null;
 
-        //the ImageBuffer tied to the original data
-        this.buffer = null;
-    
+        /**
+         * The factory used whenever this cache needs a new canvas; it is called
+         * with `(width, height)` and must return an object with a 2D context, 
+         * such as an HTMLCanvasElement, OffscreenCanvas or node-canvas Canvas.
+         * By default this creates a DOM canvas element.
+         * 
+         * @property {Function} createCanvas
+         */
+        this.createCanvas = options.createCanvas || createCanvas;
+
+        /**
+         * The factory used to create an Image for the `image` storage. 
+         * By default this creates a DOM Image.
+         * 
+         * @property {Function} createImage
+         */
+        this.createImage = options.createImage || createImage;
+
+        /**
+         * The factory used to snapshot a tinted canvas for the `imagebitmap`
+         * storage; it is called with the canvas and returns a Promise for an
+         * ImageBitmap, or null if bitmaps aren't supported. By default this
+         * uses `createImageBitmap()`.
+         * 
+         * @property {Function} createImageBitmap
+         */
+        this.createImageBitmap = options.createImageBitmap || createBitmap;
+
+        this._storage = options.storage 
+                || (TintCache.IMAGE_STORAGE ? TintCache.Storage.IMAGE : TintCache.DEFAULT_STORAGE);
+        if (!isStorage(this._storage))
+            throw new Error("TintCache storage must be one of canvas, imagebitmap, or image");
+
+        //the shared canvases that tints are packed into, if enabled; 
+        //and the canvas that composited tints are drawn on before packing
+        this._atlas = null;
+        this._scratch = null;
+        if (options.atlas) {
+            if (this._storage !== TintCache.Storage.CANVAS)
+                throw new Error("the TintCache atlas can only be used with canvas storage");
+            this._atlas = new Atlas(this.createCanvas, options.atlas.size || TintCache.DEFAULT_ATLAS_SIZE);
+        }
+
+        /**
+         * The scales that `scaled()` and `drawTinted()` cache tints at, 
+         * largest first, or null if tints are only cached at full size. This
+         * is given as the `scales` option: a list of scales from 0 to 1, or 
+         * `true` for `TintCache.MIPMAP_SCALES`.
+         * 
+         * @property {Array} scales
+         * @readOnly
+         */
+        this.scales = options.scales ? toScales(options.scales) : null;
+
         this.tintsProcessed = 0;
-        this.pointer = 0;
 
-        this.tmpLab = {l:0, a:0, b:0};
+        //counters reported by stats()
+        this._stats = null;
+        this.resetStats();
+
+        /**
+         * An optional function called whenever a tint is requested that isn't
+         * in the cache. It receives an object with `r, g, b, a` (the color that
+         * was cached), `frame` (the frame name, or null), `index` and `time` 
+         * (the milliseconds spent creating the tint).
+         * 
+         * @property {Function} onMiss
+         */
+        this.onMiss = options.onMiss || null;
+
+        /**
+         * An optional function called whenever a tint is evicted to make room
+         * for another. It receives an object with `r, g, b, a`, `frame`, `index`
+         * and `hits` (how many times the tint was requested while cached).
+         * 
+         * @property {Function} onEvict
+         */
+        this.onEvict = options.onEvict || null;
+
+        /**
+         * The TintManager which owns this cache, or null. This is set by
+         * the manager when it creates the cache.
+         * 
+         * @property {TintManager} manager
+         * @readOnly
+         */
+        this.manager = null;
+
+        //functions called with a slot index when its tint is thrown away,
+        //or with -1 for every slot; see _watch
+        this._watchers = [];
+
+        this.tmpLab = {l:0, a:0, b:0, alpha:0};
+        this._rgba = [ 0, 0, 0, 0 ];
+
+        //the colors of deterministic buckets whose centers round out of 
+        //the bucket, by size and bucket; see _bucket()
+        this._buckets = {};
 
         /**
          * If rounding is enabled, the RGB components will be round to the nearest N bytes 
@@ -82,6 +446,8 @@ var TintCache = new Class({
          * When set to true, the next time a tint is requested, the cache will be cleared
          * and the source image data re-read. 
          *
+         * This can be set automatically by enabling `track`, or with `invalidate()`.
+         *
          * @property {Boolean} dirty
          */
         this.dirty = true;
@@ -99,18 +465,290 @@ var TintCache = new Class({
          */
         this.fuzziness = (options.fuzziness===0 || options.fuzziness) ? options.fuzziness : TintCache.DEFAULT_FUZZINESS;
 
+        //the policy used to pick which tint is thrown out when the cache is full
+        this.eviction = options.eviction || TintCache.DEFAULT_EVICTION;
+
+        //the metric used by fuzzy lookups and the palette
+        this._distance = null;
+        this.distance = options.distance || TintCache.DEFAULT_DISTANCE;
+
+        /**
+         * If true, fuzzy requests are resolved to a canonical color rather 
+         * than to whatever nearby tint happens to be cached: colors are 
+         * snapped to the center of a bucket `fuzziness` wide (in Lab, or
+         * in RGB with the `rgb` distance), and looked up exactly. The same
+         * color then always gives the same tint, whatever was requested 
+         * or evicted before; e.g. for replays or screenshot tests.
+         *
+         * This can also be given as the `deterministic` option.
+         * 
+         * @property {Boolean} deterministic
+         * @default false
+         */
+        this.deterministic = !!options.deterministic;
+
 
-        //We can optimize further by using a true hash table
-        //and storing the hex code as integer. 
-        //But for now a simple parallel array and indexOf will do the trick
         this.tints = new Array(this.size);
         this.descriptors = new Array(this.size); //stores objects containing ImageData, Canvas, Context, and LAB color
 
+        /**
+         * The atlas frames registered with `addFrame()`, by name.
+         * 
+         * @property {Object} frames
+         * @readOnly
+         */
+        this.frames = {};
+
+        //the frame covering the whole image, frames given as a rect, 
+        //and a list of every frame so we can reset them together
+        this._fullFrame = createFrame(null, 0, 0, null, null);
+        this._rects = {};
+        this._frameList = [ this._fullFrame ];
+
+        //the blend variants requested so far, by key
+        this._variants = {};
+
+        //the last seen state of the source, and the listener 
+        //which marks the cache dirty; see track
+        this._track = false;
+        this._sourceState = readSource(source, {});
+        this._onSourceChange = this.invalidate.bind(this);
+        this.track = !!options.track;
+
+        /**
+         * The idle policy applied by `tick()`, or null: tints which haven't
+         * been requested for `frames` ticks, or for `time` milliseconds, are
+         * freed along with their canvas. Either may be left out. Pinned tints
+         * are kept. This is given as the `idle` option.
+         * 
+         * @property {Object} idle
+         */
+        this.idle = options.idle || null;
+
+        //the number of ticks so far; see tick()
+        this._ticks = 0;
+
+        //the budget to trim to when the page is hidden; see trimOnHide
+        this._trimOnHide = false;
+        this._onVisibilityChange = this._visibilityChange.bind(this);
+        this.trimOnHide = options.trimOnHide || false;
+
+        //the requests waiting on the worker, by id
+        this._worker = null;
+        this._requests = {};
+        this._onWorkerMessage = this._receive.bind(this);
+        this._onWorkerError = this._workerError.bind(this);
+        this.worker = options.worker || null;
+
         //this will clear the cache (set tints to defaults)
         //and also create a new canvas if necessary
         this.mode = options.mode || TintCache.DEFAULT_MODE;
+
+        this._linear = !!options.linear;
+
+        if (options.palette)
+            this.palette = options.palette;
 	},
 
+    /**
+     * Whether the cache watches its source for changes, and marks itself
+     * dirty automatically. When enabled, every lookup checks the source's
+     * size, `src`, `currentTime` (for videos) and `version`; and the cache 
+     * listens for `load`, `loadeddata` and `seeked` events on the source. 
+     * 
+     * A `version` number can be bumped on a source canvas whenever it is 
+     * redrawn; or `invalidate()` can be called instead.
+     *
+     * This can also be given as the `track` option.
+     * 
+     * @property {Boolean} track
+     * @default false
+     */
+    track: {
+        get: function() {
+            return this._track;
+        },
+
+        set: function(track) {
+            track = !!track;
+            if (track === this._track)
+                return;
+            this._track = track;
+
+            var source = this.source;
+            if (typeof source.addEventListener !== "function")
+                return;
+            for (var i=0; i<SOURCE_EVENTS.length; i++) {
+                if (track)
+                    source.addEventListener(SOURCE_EVENTS[i], this._onSourceChange);
+                else
+                    source.removeEventListener(SOURCE_EVENTS[i], this._onSourceChange);
+            }
+        }
+    },
+
+    /**
+     * A Web Worker (or anything with `postMessage` and `addEventListener`)
+     * running `lib/worker.js`, which generates BEST mode tints off the main 
+     * thread; see `tintedAsync()`. With a worker, `tinted()` no longer blocks
+     * on a miss: it returns the nearest cached tint (or the source) while 
+     * the real tint is generated. In `stats()`, a nearest tint returned 
+     * this way counts as a fuzzy hit, and the real tint as a miss once it 
+     * is made; returning the source isn't counted.
+     *
+     * This can also be given as the `worker` option. Several caches can 
+     * share the same worker.
+     *
+     * If the worker is swapped for another (or removed) while tints are in
+     * flight, they are requested again from the new worker (or made on the
+     * main thread). If the worker fires an `error` event, it is removed.
+     * 
+     * @property {Worker} worker
+     * @default null
+     */
+    worker: {
+        get: function() {
+            return this._worker;
+        },
+
+        set: function(worker) {
+            var old = this._worker;
+            if (old === worker)
+                return;
+            if (old) {
+                old.removeEventListener("message", this._onWorkerMessage);
+                old.removeEventListener("error", this._onWorkerError);
+            }
+            if (worker) {
+                worker.addEventListener("message", this._onWorkerMessage);
+                worker.addEventListener("error", this._onWorkerError);
+            }
+            this._worker = worker || null;
+            this._abandon(null);
+        }
+    },
+
+    /**
+     * Whether to `trim()` the cache when the page is hidden, e.g. when a 
+     * mobile tab goes to the background. This is the number of bytes to
+     * keep (the most valuable tints by our `eviction` policy stay), `true`
+     * to keep only the pinned tints, or false to disable it.
+     *
+     * This can also be given as the `trimOnHide` option. It listens for
+     * `visibilitychange` on the document, and does nothing outside of a browser.
+     * 
+     * @property {Number|Boolean} trimOnHide
+     * @default false
+     */
+    trimOnHide: {
+        get: function() {
+            return this._trimOnHide;
+        },
+
+        set: function(bytes) {
+            var was = this._trimOnHide !== false;
+            this._trimOnHide = (bytes === 0 || bytes) ? bytes : false;
+
+            var listen = this._trimOnHide !== false;
+            if (listen === was || typeof document === "undefined" 
+                    || typeof document.addEventListener !== "function")
+                return;
+            if (listen)
+                document.addEventListener("visibilitychange", this._onVisibilityChange);
+            else
+                document.removeEventListener("visibilitychange", this._onVisibilityChange);
+        }
+    },
+
+    _visibilityChange: function() {
+        if (document.hidden || document.visibilityState === "hidden")
+            this.trim(this._trimOnHide === true ? 0 : this._trimOnHide);
+    },
+
+    /**
+     * Whether the source has loaded and has a size, so that it can be tinted.
+     * Until then, `tinted()` and the like return the source itself.
+     * 
+     * @property {Boolean} ready
+     * @readOnly
+     */
+    ready: {
+        get: function() {
+            var source = this.source;
+            if (!source.width || !source.height)
+                return false;
+            //images which are still loading, and videos without a frame
+            if (source.complete === false)
+                return false;
+            if (typeof source.readyState === "number" && source.readyState < 2)
+                return false;
+            return true;
+        }
+    },
+
+    /**
+     * Returns a Promise which resolves with this cache once the source is
+     * `ready`. Images and videos are waited on through their load events,
+     * and rejects if they fail to load. The source is polled as well, in 
+     * case no event fires; other sources are only polled.
+     * 
+     * @return {Promise} a promise which resolves when the source can be tinted
+     */
+    whenReady: function() {
+        if (this.ready)
+            return Promise.resolve(this);
+
+        var self = this,
+            source = this.source,
+            listen = typeof source.addEventListener === "function";
+
+        return new Promise(function(resolve, reject) {
+            var done = false;
+
+            //the events may never fire (e.g. a canvas which is given a
+            //size later), so we poll as well as listen
+            function check() {
+                if (done)
+                    return;
+                if (self.ready) {
+                    stop();
+                    resolve(self);
+                } else {
+                    schedule(check);
+                }
+            }
+
+            function fail() {
+                stop();
+                reject(new Error("could not load the TintCache source"));
+            }
+
+            function stop() {
+                done = true;
+                if (!listen)
+                    return;
+                source.removeEventListener("load", check);
+                source.removeEventListener("loadeddata", check);
+                source.removeEventListener("error", fail);
+            }
+
+            if (listen) {
+                source.addEventListener("load", check);
+                source.addEventListener("loadeddata", check);
+                source.addEventListener("error", fail);
+            }
+            check();
+        });
+    },
+
+    /**
+     * Marks the cache dirty, so the source is re-read on the next lookup.
+     * Call this after redrawing a source canvas, for example.
+     */
+    invalidate: function() {
+        this.dirty = true;
+    },
+
     /**
      * Changes the mode of this TintCache. This will clear the cache, and so it should not be done frequently.
      * 
@@ -129,7 +767,7 @@ var TintCache = new Class({
 
             //if we need to create a default canvas
             if (this._usePixelData && (!this.canvas || !this.context)) {
-                this.canvas = document.createElement("canvas");
+                this.canvas = this.createCanvas(1, 1);
                 this.context = this.canvas.getContext("2d");
             } 
             //if we need to release the default canvas
@@ -147,6 +785,138 @@ var TintCache = new Class({
         }
     },
 
+    /**
+     * Whether BEST mode tints are made in linear light rather than on the
+     * sRGB bytes, the way colored light mixes. Mid-tones come out a little
+     * darker than on the sRGB bytes (50% gray tinted by 50% gray is 61, not
+     * 64), while scaled tints are shrunk in linear light too, which keeps 
+     * them from darkening. The image data of each frame is converted to 
+     * linear light once whenever it's read, and tints are multiplied there
+     * and converted back through lookup tables.
+     *
+     * Alpha is left straight, as in image data, rather than premultiplied:
+     * a tint multiplies each pixel on its own, so its color doesn't depend
+     * on its alpha, and shrinking weights the colors by alpha already.
+     *
+     * This only affects plain tints in BEST mode; blends, transforms and 
+     * gradient maps work on the sRGB bytes, and so does the `worker`, so 
+     * linear tints are always made on the main thread.
+     *
+     * This can also be given as the `linear` option. Changing it marks the 
+     * cache dirty.
+     * 
+     * @property {Boolean} linear
+     * @default false
+     */
+    linear: {
+        set: function(linear) {
+            linear = !!linear;
+            if (linear === this._linear)
+                return;
+            this._linear = linear;
+            this.dirty = true;
+        },
+
+        get: function() {
+            return this._linear;
+        }
+    },
+
+    /**
+     * A fixed set of colors that every tint request is snapped to. When a palette
+     * is set, each requested color is replaced by the perceptually nearest palette 
+     * entry (in Lab space, with alpha), so rounding and fuzziness no longer apply.
+     * Use `bake()` to cache the whole palette up front.
+     *
+     * The palette may be given as 0xRRGGBB integers, `[r, g, b, a]` arrays or
+     * `{r, g, b, a}` objects; the getter returns a list of `[r, g, b, a]` arrays, 
+     * or null if there is no palette. 
+     *
+     * Setting the palette clears the cache, and grows its `size` if it can't
+     * hold every palette color.
+     * 
+     * @property {Array} palette
+     */
+    palette: {
+        set: function(palette) {
+            if (!palette) {
+                this._palette = null;
+                this._paletteGrid = null;
+                this.clear();
+                return;
+            }
+
+            palette = colors.palette(palette);
+            if (palette.length === 0)
+                throw new Error("palette must have at least one color");
+
+            var grid = new LabGrid();
+            for (var i=0; i<palette.length; i++) {
+                var c = palette[i].map(toByte);
+                var lab = rgb2lab(c[0], c[1], c[2]);
+                lab.alpha = c[3] * ALPHA_SCALE;
+                grid.insert(i, lab);
+                palette[i] = c;
+            }
+
+            this._palette = palette;
+            this._paletteGrid = grid;
+
+            if (this.size < palette.length)
+                this.size = palette.length;
+            else
+                this.clear();
+        },
+
+        get: function() {
+            return this._palette;
+        }
+    },
+
+    /**
+     * Caches every color of the palette, so that all subsequent requests
+     * are hits. For large palettes or sources, consider `warm(cache.palette)`
+     * instead, which spreads the work across several frames.
+     *
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @return {TintCache} this cache, for chaining
+     */
+    bake: function(frame) {
+        if (!this._palette)
+            throw new Error("no palette to bake; set the palette first");
+        for (var i=0; i<this._palette.length; i++) {
+            var c = this._palette[i];
+            this.cache(frame || null, c[0], c[1], c[2], c[3]);
+        }
+        return this;
+    },
+
+    /**
+     * The ImageBuffer tied to the original data of the whole image,
+     * or null if it hasn't been read yet.
+     * 
+     * @property {ImageBuffer} buffer
+     * @readOnly
+     */
+    buffer: {
+        get: function() {
+            return this._fullFrame.buffer;
+        }
+    },
+
+    /**
+     * Where this cache keeps its tints; one of `TintCache.Storage`, given
+     * as the `storage` option.
+     * 
+     * @property {String} storage
+     * @readOnly
+     */
+    storage: {
+        get: function() {
+            return this._storage;
+        }
+    },
+
     /**
      * Changes the size of this tint cache. This will cause the cache to be cleared; so it
      * should not be changed frequently.
@@ -176,206 +946,2416 @@ var TintCache = new Class({
     },
 
     /**
-     * A convenience method to cache the specified color; this ignores fuzziness and rounding
-     * to ensure that the color is included in the cache. This might be useful when pre-populating a cache,
-     * where a high fuzziness would lead to a poor gradation of colors in the cache. 
+     * The policy used to decide which tint is thrown out when the cache
+     * is full. This may be one of the `TintCache.Eviction` comparators
+     * (FIFO, LRU, LFU), their name as a string, or a custom comparator 
+     * function which takes two descriptors and returns a negative number
+     * if the first should be evicted before the second.
+     *
+     * Changing this property will not clear the cache; the getter always
+     * returns the comparator function.
      * 
-     * @param  {[type]} r [description]
-     * @param  {[type]} g [description]
-     * @param  {[type]} b [description]
-     * @return {[type]}   [description]
+     * @property {Function} eviction
+     * @default  TintCache.DEFAULT_EVICTION (FIFO)
      */
-    cache: function(r, g, b) {
-        var oldRound = this.rounding;
-        var oldFuzz = this.fuzziness;
-        this.fuzziness = 0;
-        this.rounding = 0;
-        var ret = this.tinted(r, g, b);
-        this.rounding = oldRound;
-        this.fuzziness = oldFuzz;
-        return ret;
+    eviction: {
+        set: function(eviction) {
+            if (typeof eviction === "string") {
+                if (!Eviction.hasOwnProperty(eviction))
+                    throw new Error("TintCache.Eviction must be one of FIFO, LRU, or LFU");
+                eviction = Eviction[eviction];
+            }
+            if (typeof eviction !== "function")
+                throw new Error("eviction must be a TintCache.Eviction policy or comparator function");
+            this._eviction = eviction;
+        },
+
+        get: function() {
+            return this._eviction;
+        }
     },
 
     /**
-     * Returns a tinted canvas for the image associated
-     * with this TintCache. 
-     * 
-     * If the image width and height are zero,
-     * this method will return the original image immediately. 
-     * The main reason we do this is to avoid problems when you
-     * try to tint-cache an image that has not yet been loaded.
-     * Rendering a zero-sized canvas throws errors in Chrome, and
-     * will also make the TintCache useless since the cached image 
-     * data is empty.
+     * The metric used to compare colors in fuzzy lookups and when snapping
+     * to the palette. This may be one of the `TintCache.Distance` metrics
+     * (RGB, LAB76, CIEDE2000), their name as a string in any case (e.g. 
+     * `"ciede2000"`), or a custom function of two colors given as bytes,
+     * `(r1, g1, b1, a1, r2, g2, b2, a2)`, which returns their distance. 
+     * The `fuzziness` is in the same units.
+     *
+     * LAB76 lookups go through a spatial index; the others compare against
+     * every tint of the frame. Changing this property will not clear the 
+     * cache; the getter always returns the metric function.
      * 
-     * @param  {[type]} r [description]
-     * @param  {[type]} g [description]
-     * @param  {[type]} b [description]
-     * @return {[type]}   [description]
+     * @property {Function} distance
+     * @default  TintCache.DEFAULT_DISTANCE (LAB76)
      */
-    tinted: function(r, g, b, fillStyle) {
+    distance: {
+        set: function(distance) {
+            if (typeof distance === "string") {
+                var name = distance.toUpperCase();
+                if (!Distance.hasOwnProperty(name))
+                    throw new Error("TintCache.Distance must be one of RGB, LAB76, or CIEDE2000");
+                distance = Distance[name];
+            }
+            if (typeof distance !== "function")
+                throw new Error("distance must be a TintCache.Distance metric or function");
+            this._distance = distance;
+        },
+
+        get: function() {
+            return this._distance;
+        }
+    },
+
+    /**
+     * Registers a frame of a sprite sheet or atlas by name; the frame can then be 
+     * passed as the first argument to `tinted()`, `cache()`, `indexOf()`, `remove()`
+     * and `unpin()` to work with a tinted copy of that region only. 
+     *
+     * Registering a name that already exists will replace the old frame and
+     * remove its tints.
+     * 
+     * @param {String} name the name of the frame
+     * @param {Number} sx the x position of the region in the source image
+     * @param {Number} sy the y position of the region in the source image
+     * @param {Number} sw the width of the region
+     * @param {Number} sh the height of the region
+     * @return {Object} the frame record
+     */
+    addFrame: function(name, sx, sy, sw, sh) {
+        if (typeof name !== "string")
+            throw new Error("frame name must be a string");
+        if (!(sw > 0 && sh > 0))
+            throw new Error("invalid frame size; must be > 0");
+
+        if (this.frames.hasOwnProperty(name))
+            this.removeFrame(name);
+
+        var frame = createFrame(name, sx, sy, sw, sh);
+        this.frames[name] = frame;
+        this._frameList.push(frame);
+        return frame;
+    },
+
+    /**
+     * Unregisters the frame by the given name, and removes all of its tints
+     * from the cache. Returns true if the frame existed.
+     * 
+     * @param  {String} name the name of the frame
+     * @return {Boolean} whether the frame was found
+     */
+    removeFrame: function(name) {
+        if (!this.frames.hasOwnProperty(name))
+            return false;
+        this._removeFrame(this.frames[name]);
+        delete this.frames[name];
+        return true;
+    },
+
+    _removeFrame: function(frame) {
+        for (var i=0; i<this.tints.length; i++) {
+            if (this.tints[i] !== TintCache.NONE && this.descriptors[i].frame === frame)
+                this._release(i);
+        }
+        this._frameList.splice(this._frameList.indexOf(frame), 1);
+
+        for (var scale in frame.levels)
+            this._removeFrame(frame.levels[scale]);
+        frame.levels = {};
+    },
+
+    /**
+     * Returns true if the leading argument of a public method is a frame
+     * rather than a color: a registered name (or any string which doesn't
+     * start like a color, so that a malformed one is reported as such), 
+     * a frame or rect object, or null for the whole image.
+     *
+     * @private
+     */
+    _isFrame: function(arg) {
+        if (arg === null || arg === undefined)
+            return true;
+        if (typeof arg === "string")
+            return this.frames.hasOwnProperty(arg) || !colors.isColorLike(arg);
+        return typeof arg === "object" && !Array.isArray(arg) && !("r" in arg);
+    },
+
+    /**
+     * Resolves the frame argument of the public methods; this may be a 
+     * registered name, a frame record, or a source rect with `x, y, width, height`
+     * properties. Rects are registered on the fly, keyed by their bounds; 
+     * rects left without tints are forgotten whenever a new one is added.
+     *
+     * @private
+     */
+    _frame: function(frame) {
+        if (frame === null || frame === undefined)
+            return this._fullFrame;
+
+        if (typeof frame === "string") {
+            if (!this.frames.hasOwnProperty(frame))
+                throw new Error("no frame named '" + frame + "' in this TintCache");
+            return this.frames[frame];
+        }
+
+        if (frame.groups && this._frameList.indexOf(frame) !== -1)
+            return frame;
+
+        var key = frame.x + "," + frame.y + "," + frame.width + "," + frame.height;
+        var rect = this._rects[key];
+        if (!rect) {
+            if (!(frame.width > 0 && frame.height > 0))
+                throw new Error("invalid frame size; must be > 0");
+            this._sweepRects();
+            rect = this._rects[key] = createFrame(null, frame.x, frame.y, frame.width, frame.height);
+            this._frameList.push(rect);
+        }
+        return rect;
+    },
+
+    /**
+     * Forgets the rects which hold no tints (at any scale), and have none
+     * being made by the worker, so that one-off rects don't pile up.
+     *
+     * @private
+     */
+    _sweepRects: function() {
+        for (var key in this._rects) {
+            var rect = this._rects[key],
+                frames = [ rect ];
+            for (var scale in rect.levels)
+                frames.push(rect.levels[scale]);
+
+            var used = false;
+            for (var i=0; i<frames.length && !used; i++) {
+                var groups = frames[i].groups;
+                for (var k in groups) {
+                    if (groups[k].count > 0 || Object.keys(groups[k].pending).length > 0)
+                        used = true;
+                }
+            }
+
+            if (!used) {
+                delete this._rects[key];
+                this._removeFrame(rect);
+            }
+        }
+    },
+
+    /**
+     * A convenience method to cache the specified color; this ignores fuzziness and rounding
+     * to ensure that the color is included in the cache. This might be useful when pre-populating a cache,
+     * where a high fuzziness would lead to a poor gradation of colors in the cache. 
+     * In `deterministic` mode the color is still snapped to its bucket, as 
+     * `tinted()` would snap it, so that the tint can be found again.
+     *
+     * If `pin` is true, the tint will never be evicted to make room for other tints;
+     * it will only be released by `unpin()`, `remove()`, `reset()` or `clear()`.
+     * 
+     * The color may also be given as a single argument, in any of the forms
+     * accepted by `tinted()`; e.g. `cache("#ff8800", true)`.
+     * 
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255 (or the whole color)
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @param  {Boolean} pin whether to pin the tint in the cache
+     * @return {HTMLCanvasElement|Image} the tinted canvas or image
+     */
+    cache: function(r, g, b, a, pin) {
+        var frame = this._fullFrame;
+        if (this._isFrame(r)) {
+            frame = this._frame(r);
+            r = g; g = b; b = a; a = pin; pin = arguments[5];
+        }
+
+        //a single color argument, and maybe the pin
+        if (typeof r !== "number" || typeof g !== "number") {
+            var c = colors.parse(r);
+            pin = g;
+            r = c[0]; g = c[1]; b = c[2]; a = c[3];
+        }
+
+        //support the older cache(r, g, b, pin) signature
+        if (typeof a === "boolean") {
+            pin = a;
+            a = 255;
+        }
+
+        var i = this._cached(frame, r, g, b, a);
+        if (i !== -1 && pin)
+            this._pin(i);
+        return this._result(i);
+    },
+
+    /**
+     * Caches a tint of the frame like `cache()`, ignoring fuzziness and
+     * rounding (except in `deterministic` mode), and returns its slot 
+     * index (or -1).
+     *
+     * @private
+     */
+    _cached: function(frame, r, g, b, a) {
+        //deterministic lookups are exact anyway, and need the fuzziness
+        //and rounding to key the color by its bucket like tinted() does
+        if (this.deterministic)
+            return this._tint(frame, null, r, g, b, a);
+
+        var oldRound = this.rounding;
+        var oldFuzz = this.fuzziness;
+        this.fuzziness = 0;
+        this.rounding = 0;
+        var i = this._tint(frame, null, r, g, b, a);
+        this.rounding = oldRound;
+        this.fuzziness = oldFuzz;
+        return i;
+    },
+
+    /**
+     * Unpins a tint that was pinned with `cache(r, g, b, true)`, so that it may
+     * be evicted like any other tint. Fuzziness is not taken into account. 
+     * A tint held by a Sequence stays pinned until the sequence is released.
+     * Returns true if a tint by that color was found.
+     * 
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {Boolean} whether the tint was found
+     */
+    unpin: function(r, g, b, a) {
+        var frame = this._fullFrame;
+        if (typeof r !== "number") {
+            frame = this._frame(r);
+            r = g; g = b; b = a; a = arguments[4];
+        }
+        a = (a === 0 || a) ? a : 255;
+
+        var i = this._group(frame, "").lookup[ pack(toByte(r), toByte(g), toByte(b), toByte(a)) ];
+        if (i === undefined)
+            return false;
+
+        //a tint held by a sequence stays pinned until it is released
+        var descriptor = this.descriptors[i];
+        if (descriptor.holds > 0)
+            descriptor.heldPin = true;
+        else
+            descriptor.pinned = false;
+        return true;
+    },
+
+    /**
+     * Pins the tint in a slot for the user; see `cache()`.
+     *
+     * @private
+     */
+    _pin: function(i) {
+        this.descriptors[i].pinned = true;
+        this.descriptors[i].heldPin = false;
+    },
+
+    /**
+     * Pins the tint in a slot for a Sequence. Each hold is counted, and a
+     * pin added by holds is taken away again by the last `_unhold()`.
+     *
+     * @private
+     */
+    _hold: function(i) {
+        var descriptor = this.descriptors[i];
+        if (descriptor.holds++ === 0 && !descriptor.pinned) {
+            descriptor.pinned = true;
+            descriptor.heldPin = true;
+        }
+    },
+
+    /**
+     * Undoes a `_hold()` of the tint in a slot.
+     *
+     * @private
+     */
+    _unhold: function(i) {
+        var descriptor = this.descriptors[i];
+        if (--descriptor.holds === 0 && descriptor.heldPin) {
+            descriptor.pinned = false;
+            descriptor.heldPin = false;
+        }
+    },
+
+    /**
+     * Pre-populates the cache with the given colors, spreading the work across
+     * several idle callbacks (or frames) so that no single frame stalls. Each
+     * color is cached with `cache()`, so rounding and fuzziness are ignored.
+     * Colors can be `[r, g, b, a]` arrays or `{r, g, b, a}` objects; see
+     * `TintCache.gradient()` and `TintCache.palette()` for generating them.
+     *
+     * Options:
+     *
+     * - `budgetMs` the time to spend per slice (default TintCache.DEFAULT_WARM_BUDGET);
+     *   0 caches one color per slice
+     * - `pin` whether to pin the cached tints
+     * - `frame` the atlas frame to tint
+     * - `schedule` a function which calls back later, to replace the default
+     *   of requestIdleCallback / requestAnimationFrame / setTimeout
+     *
+     * This should be called once the source has loaded. The returned Promise
+     * resolves with this cache when every color has been cached, or rejects
+     * if caching fails (e.g. every entry is pinned).
+     * 
+     * @param  {Array} colors the list of colors to cache
+     * @param  {Object} options the options (optional)
+     * @return {Promise} a promise which resolves when the cache is warm
+     */
+    warm: function(colors, options) {
+        options = options || {};
+        var budget = (options.budgetMs === 0 || options.budgetMs) ? options.budgetMs : TintCache.DEFAULT_WARM_BUDGET,
+            frame = options.frame || null,
+            pin = !!options.pin,
+            next = options.schedule || schedule,
+            index = 0,
+            self = this;
+
+        return new Promise(function(resolve, reject) {
+            function slice() {
+                var start = now();
+                try {
+                    //always do at least one color per slice
+                    do {
+                        var c = components(colors[index++]);
+                        self.cache(frame, c[0], c[1], c[2], c[3], pin);
+                    } while (index < colors.length && now() - start < budget);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                if (index < colors.length)
+                    next(slice);
+                else
+                    resolve(self);
+            }
+
+            if (colors.length === 0)
+                resolve(self);
+            else
+                next(slice);
+        });
+    },
+
+    /**
+     * Precomputes the tints for animating from one color to another in
+     * `steps` steps, e.g. for a hit flash or a pulse, and returns a Sequence
+     * whose `frameAt(t)` returns the tint for a time from 0 to 1. The colors
+     * may be given in any of the forms accepted by `tinted()`, and alpha is
+     * animated too. The optional `easing` function maps a time from 0 to 1 
+     * to the progress between the colors (linear by default).
+     *
+     * The tints are cached with `cache()`, ignoring rounding and fuzziness,
+     * and are pinned until the sequence is released; so the cache must have
+     * room for them. If it doesn't, this throws and pins nothing.
+     *
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number|String|Array|Object} from the first color
+     * @param  {Number|String|Array|Object} to the last color
+     * @param  {Number} steps the number of tints, at least 2
+     * @param  {Function} easing the easing function (optional)
+     * @return {Sequence} the sequence
+     */
+    sequence: function(frame, from, to, steps, easing) {
+        //without a frame, the steps are the third argument
+        if (typeof steps !== "number") {
+            easing = steps;
+            steps = to;
+            to = from;
+            from = frame;
+            frame = this._fullFrame;
+        } else {
+            frame = this._frame(frame);
+        }
+
+        if (!(steps >= 2) || steps !== Math.floor(steps))
+            throw new Error("a sequence needs a whole number of steps, at least 2");
+        if (steps > this._size)
+            throw new Error("a sequence of " + steps + " steps doesn't fit in a TintCache of size " + this._size);
+
+        var a = colors.parse(from),
+            b = colors.parse(to),
+            list = [];
+
+        for (var k=0; k<steps; k++) {
+            var t = k / (steps - 1),
+                e = easing ? easing(t) : t;
+
+            list.push([
+                toByte( Math.round(a[0] + (b[0] - a[0]) * e) ),
+                toByte( Math.round(a[1] + (b[1] - a[1]) * e) ),
+                toByte( Math.round(a[2] + (b[2] - a[2]) * e) ),
+                toByte( Math.round(a[3] + (b[3] - a[3]) * e) )
+            ]);
+        }
+        return new Sequence(this, frame, list);
+    },
+
+    /**
+     * Returns a Promise for a snapshot of this cache, which can be stored
+     * and given to `import()` later, e.g. on the next page load. It holds:
+     *
+     * - `width`, `height` and `hash` of the source image data, so that stale
+     *   snapshots can be detected
+     * - `settings` the mode, size, rounding, fuzziness, palette, eviction, 
+     *   distance, and the deterministic and linear flags
+     * - `frames` the named frames, as `{ x, y, width, height }`
+     * - `tints` a list of `{ frame, scale, variant, r, g, b, a, pinned, pixels }`,
+     *   oldest first
+     *
+     * By default the tints are listed without pixels, and `import()` has
+     * to create them again. With the `pixels` option set to `"raw"`, each 
+     * tint includes a Uint8ClampedArray of its RGBA bytes; with `"png"`, a
+     * PNG Blob, which is smaller but slower to encode and decode.
+     *
+     * A custom `distance` function can't be stored, so the Promise rejects
+     * if the cache uses one.
+     * 
+     * @param  {Object} options the options (optional)
+     * @return {Promise} a promise for the snapshot
+     */
+    export: function(options) {
+        options = options || {};
+        var format = options.pixels || null;
+        if (format && format !== "raw" && format !== "png")
+            return Promise.reject(new Error("the pixels to export must be 'raw' or 'png'"));
+
+        //a dirty cache throws its tints away on the next lookup; we leave
+        //that to the lookup, and just leave the stale tints out
+        var src = this.source,
+            ready = this.ready,
+            stale = this.dirty || (this._track && sourceChanged(src, this._sourceState)),
+            eviction = null,
+            distance = null,
+            data;
+
+        for (var k in Eviction) {
+            if (Eviction[k] === this._eviction)
+                eviction = k;
+        }
+        for (k in Distance) {
+            if (Distance[k] === this._distance)
+                distance = k;
+        }
+        if (distance === null)
+            return Promise.reject(new Error("cannot export a TintCache with a custom distance function"));
+
+        data = {
+            version: TintCache.EXPORT_VERSION,
+            width: src.width,
+            height: src.height,
+            hash: ready ? this._hash(stale) : null,
+            settings: {
+                mode: this._mode,
+                size: this._size,
+                rounding: this.rounding,
+                fuzziness: this.fuzziness,
+                palette: this.palette,
+                eviction: eviction,
+                distance: distance,
+                deterministic: this.deterministic,
+                linear: this._linear
+            },
+            frames: {},
+            tints: []
+        };
+
+        for (var name in this.frames) {
+            var f = this.frames[name];
+            data.frames[name] = { x: f.x, y: f.y, width: f.width, height: f.height };
+        }
+
+        //oldest first, so that importing keeps the eviction order
+        var self = this,
+            order = [];
+        for (var i=0; i<this.tints.length && ready && !stale; i++) {
+            if (this.tints[i] !== TintCache.NONE)
+                order.push(i);
+        }
+        order.sort(function(a, b) {
+            return self.descriptors[a].created - self.descriptors[b].created;
+        });
+
+        var work = order.map(function(i) {
+            var tint = self.tints[i],
+                descriptor = self.descriptors[i],
+                frame = descriptor.frame;
+
+            //scaled tints are listed under the frame they were made from
+            var scale = frame.scale;
+            frame = frame.parent || frame;
+
+            var entry = {
+                frame: frame === self._fullFrame ? null 
+                        : (frame.name || { x: frame.x, y: frame.y, width: frame.width, height: frame.height }),
+                scale: scale,
+                variant: descriptor.group.key,
+                r: (tint >> 16) & 0xff,
+                g: (tint >> 8) & 0xff,
+                b: tint & 0xff,
+                a: 255 - ((tint >>> 24) & 0xff),
+                pinned: descriptor.pinned,
+                pixels: null
+            };
+            data.tints.push(entry);
+
+            if (!format)
+                return null;
+
+            var imageData = descriptor.context.getImageData(descriptor.sx, descriptor.sy, 
+                    descriptor.width, descriptor.height);
+            if (format === "raw") {
+                entry.pixels = new Uint8ClampedArray(imageData.data);
+                return null;
+            }
+
+            var canvas = self.createCanvas(descriptor.width, descriptor.height);
+            canvas.getContext("2d").putImageData(imageData, 0, 0);
+            return toBlob(canvas).then(function(blob) {
+                entry.pixels = blob;
+            });
+        });
+
+        return Promise.all(work).then(function() {
+            return data;
+        });
+    },
+
+    /**
+     * Restores a snapshot from `export()` into this cache, replacing its
+     * tints, and returns a Promise which resolves with the cache. The 
+     * settings and frames of the snapshot are applied first. Tints with pixels are put into the cache
+     * as they are, without tinting; the others are created again.
+     *
+     * The Promise rejects if the source isn't ready, or if its size or
+     * image data don't match the snapshot (i.e. the snapshot is stale). 
+     * Errors for stale or unsupported snapshots have `stale` set to true.
+     *
+     * Restoring a tint isn't a lookup: it isn't counted in `stats()`, and
+     * `onMiss` and `onEvict` aren't called.
+     * 
+     * @param  {Object} data the snapshot
+     * @return {Promise} a promise which resolves when the tints are restored
+     */
+    import: function(data) {
+        var self = this,
+            src = this.source;
+
+        if (!data || data.version !== TintCache.EXPORT_VERSION)
+            return Promise.reject(staleError("unsupported TintCache snapshot"));
+        if (!this._prepare())
+            return Promise.reject(new Error("the TintCache source isn't ready"));
+        if (data.width !== src.width || data.height !== src.height
+                || (data.hash && data.hash !== this._hash()))
+            return Promise.reject(staleError("the TintCache snapshot doesn't match the source"));
+
+        this.clear();
+
+        var settings = data.settings;
+        if (settings.mode !== this._mode)
+            this.mode = settings.mode;
+        if (settings.size !== this._size)
+            this.size = settings.size;
+        this.rounding = settings.rounding;
+        this.fuzziness = settings.fuzziness;
+        this.palette = settings.palette;
+        if (settings.eviction)
+            this.eviction = settings.eviction;
+        this.linear = settings.linear;
+        if (settings.distance)
+            this.distance = settings.distance;
+        this.deterministic = !!settings.deterministic;
+
+        for (var name in data.frames) {
+            if (!this.frames.hasOwnProperty(name)) {
+                var f = data.frames[name];
+                this.addFrame(name, f.x, f.y, f.width, f.height);
+            }
+        }
+
+        var decoded = data.tints.map(function(entry) {
+            return self._decode(entry.pixels);
+        });
+
+        return Promise.all(decoded).then(function(pixels) {
+            //the colors are already rounded and snapped
+            var oldRound = self.rounding,
+                oldFuzz = self.fuzziness,
+                oldPalette = self._palette;
+            self.rounding = 0;
+            self.fuzziness = 0;
+            self._palette = null;
+
+            //and restoring them isn't counted, nor reported to the hooks
+            var oldStats = self._stats,
+                onMiss = self.onMiss,
+                onEvict = self.onEvict;
+            self.resetStats();
+            self.onMiss = null;
+            self.onEvict = null;
+
+            try {
+                for (var j=0; j<data.tints.length; j++)
+                    self._restore(data.tints[j], pixels[j]);
+            } finally {
+                self.rounding = oldRound;
+                self.fuzziness = oldFuzz;
+                self._palette = oldPalette;
+                self._stats = oldStats;
+                self.onMiss = onMiss;
+                self.onEvict = onEvict;
+            }
+            return self;
+        });
+    },
+
+    /**
+     * Puts a tint from a snapshot into the cache; either its pixels, or
+     * if there are none, a new tint.
+     *
+     * @private
+     */
+    _restore: function(entry, pixels) {
+        var frame = entry.frame === null ? this._fullFrame : this._frame(entry.frame),
+            key = entry.variant,
+            variant = null;
+
+        if (key === "HSL") {
+            variant = this._transform();
+        } else if (key.indexOf("MAP:") === 0) {
+            variant = this._gradientMap(key);
+        } else if (key) {
+            var parts = key.split(":");
+            variant = this._blend(parts[0], parseInt(parts[1], 10));
+        }
+
+        //restored pixels are looked up like those of the variant
+        if (pixels) {
+            variant = {
+                key: key,
+                color: variant ? variant.color : true,
+                distance: variant ? variant.distance : null,
+                apply: function(input, output) {
+                    output.set(pixels);
+                }
+            };
+        }
+
+        if (entry.scale && entry.scale !== 1)
+            frame = this._level(frame, entry.scale);
+
+        var i = this._tint(frame, variant, entry.r, entry.g, entry.b, entry.a);
+        if (i !== -1 && entry.pinned)
+            this._pin(i);
+    },
+
+    /**
+     * Returns a Promise for the RGBA bytes of exported pixels: raw bytes
+     * are used as they are, and PNG blobs are decoded.
+     *
+     * @private
+     */
+    _decode: function(pixels) {
+        if (!pixels || typeof pixels.length === "number")
+            return Promise.resolve(pixels || null);
+
+        var self = this;
+        var request = this.createImageBitmap(pixels);
+        if (!request)
+            return Promise.reject(new Error("cannot decode PNGs without createImageBitmap"));
+
+        return request.then(function(bitmap) {
+            var canvas = self.createCanvas(bitmap.width, bitmap.height),
+                context = canvas.getContext("2d");
+            context.drawImage(bitmap, 0, 0);
+            if (typeof bitmap.close === "function")
+                bitmap.close();
+            return context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+        });
+    },
+
+    /**
+     * Returns a hash of the source's image data.
+     *
+     * @private
+     */
+    _hash: function(fresh) {
+        var frame = this._fullFrame;
+        if (!fresh) {
+            this._readFrame(frame, true);
+            return hashBytes(frame.buffer.uint8);
+        }
+
+        //read the source again, leaving the frame's stale copy to _prepare()
+        var src = this.source,
+            context = this.createCanvas(src.width, src.height).getContext("2d");
+        context.drawImage(src, 0, 0);
+        return hashBytes(context.getImageData(0, 0, src.width, src.height).data);
+    },
+
+    /**
+     * Returns a tinted canvas for the image associated
+     * with this TintCache. 
+     * 
+     * If the image isn't `ready` (it has no size, or is still loading),
+     * this method will return the original image immediately. 
+     * The main reason we do this is to avoid problems when you
+     * try to tint-cache an image that has not yet been loaded.
+     * Rendering a zero-sized canvas throws errors in Chrome, and
+     * will also make the TintCache useless since the cached image 
+     * data is empty. Use `whenReady()` to wait for the image.
+     *
+     * The alpha is baked into the tinted canvas, so it can be used where
+     * `globalAlpha` has no effect, such as patterns. 
+     *
+     * If a frame is given, the returned canvas holds a tinted copy of just
+     * that region of the source; see `addFrame()`.
+     * 
+     * If the cache was created with the `atlas` option (`true`, or `{ size }`
+     * for the size of each page), tints are packed into a few large shared
+     * canvases so that draws can batch. This then returns the tint's region,
+     * `{ canvas, sx, sy, sw, sh }`, for a 9-argument `drawImage()`; or use
+     * `drawTinted()`.
+     *
+     * Instead of `r, g, b, a`, the color can be given as a single argument:
+     * a 0xRRGGBB integer, a CSS string such as `"#ff8800"`, `"rgba(255, 136, 0, 0.5)"`
+     * or `"hsl(32, 100%, 50%)"`, an `[r, g, b, a]` array or an `{r, g, b, a}` 
+     * object. Strings are parsed once and remembered.
+     * 
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255 (or the whole color)
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {HTMLCanvasElement|Image} the tinted canvas or image
+     */
+    tinted: function() {
+        return this._result(this._tinted.apply(this, arguments));
+    },
+
+    /**
+     * Does the work of `tinted()`, returning the slot index of the tint 
+     * (or -1) for `_result()`. Other classes holding a cache use this to 
+     * find the slot of a tint.
+     *
+     * @private
+     */
+    _tinted: function(r, g, b, a, fillStyle) {
+        var frame = this._fullFrame;
+        if (this._isFrame(r)) {
+            frame = this._frame(r);
+            r = g; g = b; b = a; a = fillStyle; fillStyle = arguments[5];
+        }
+
+        //a single color argument
+        if (typeof r !== "number" || g === undefined) {
+            var c = colors.parse(r);
+            r = c[0]; g = c[1]; b = c[2]; a = c[3];
+            fillStyle = undefined;
+        }
+
+        //with a worker, misses are generated in the background
+        if (this._worker && this._usePixelData && !this._linear && this._prepare()) {
+            var color = this._color(null, r, g, b, (typeof a === "number") ? a : 255);
+            r = color[0];
+            g = color[1];
+            b = color[2];
+            a = color[3];
+
+            var group = this._group(frame, "");
+            if (this._indexOf(group, r, g, b, a) === -1) {
+                //the placeholder counts as a fuzzy hit
+                var nearest = this._nearest(group, r, g, b, a, Infinity);
+                if (nearest !== -1) {
+                    this._hit(group, nearest, r, g, b, a);
+                    this._touch(nearest);
+                }
+
+                //a rejection here means the cache was destroyed
+                this._async(frame, r, g, b, a).catch(function() {});
+                return nearest;
+            }
+            return this._tintExact(frame, null, r, g, b, a);
+        }
+
+        return this._tint(frame, null, r, g, b, a, fillStyle);
+    },
+
+    /**
+     * Like `tinted()`, but returns a Promise for the tinted canvas. In BEST
+     * mode with a `worker`, a miss is tinted in the worker: a copy of the
+     * image data is transferred to it, and the result is transferred back 
+     * and put into the cache. Otherwise the tint is created right away.
+     *
+     * Requests for the same tint while one is in flight share a Promise. If
+     * the source changes in the meantime, the tint is requested again. The
+     * Promise is rejected if the cache is destroyed before the tint is ready.
+     * 
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {Promise} a promise for the tinted canvas or image
+     */
+    tintedAsync: function(r, g, b, a) {
+        var frame = this._fullFrame;
+        if (typeof r !== "number") {
+            try {
+                frame = this._frame(r);
+            } catch (e) {
+                return Promise.reject(e);
+            }
+            r = g; g = b; b = a; a = arguments[4];
+        }
+        a = (a === 0 || a) ? a : 255;
+
+        var color = this._color(null, r, g, b, a);
+        return this._async(frame, color[0], color[1], color[2], color[3]);
+    },
+
+    /**
+     * Does the work of `tintedAsync()` for a color which was already 
+     * rounded and snapped by `_color()`.
+     *
+     * @private
+     */
+    _async: function(frame, r, g, b, a) {
+        if (!this._worker || !this._usePixelData || this._linear || !this._prepare())
+            return Promise.resolve(this._result(this._tintExact(frame, null, r, g, b, a)));
+
+        var group = this._group(frame, "");
+        if (this._indexOf(group, r, g, b, a) !== -1)
+            return Promise.resolve(this._result(this._tintExact(frame, null, r, g, b, a)));
+
+        var tint = pack(r, g, b, a);
+        if (!group.pending[tint]) {
+            this._readFrame(frame, true);
+            group.pending[tint] = this._post(frame, group, tint, r, g, b, a);
+        }
+        return group.pending[tint];
+    },
+
+    /**
+     * Sends a copy of the frame's image data to the worker to be tinted,
+     * and returns a Promise for the tinted canvas.
+     *
+     * @private
+     */
+    _post: function(frame, group, tint, r, g, b, a) {
+        var self = this,
+            id = ++requestId,
+            sent = frame.buffer,
+            pixels = new Uint8ClampedArray(sent.uint8);
+
+        var promise = new Promise(function(resolve, reject) {
+            self._requests[id] = {
+                receive: function(result) {
+                    delete group.pending[tint];
+
+                    //the source changed while we waited; try again
+                    if (self.dirty || frame.buffer !== sent) {
+                        resolve(self._async(frame, r, g, b, a));
+                        return;
+                    }
+
+                    //store the worker's pixels through the usual path
+                    var i = self._tintExact(frame, {
+                        key: "",
+                        color: true,
+                        apply: function(input, output) {
+                            output.set(result);
+                        }
+                    }, r, g, b, a);
+                    resolve(self._result(i));
+                },
+
+                //the worker went away; try again, unless there's an error
+                fail: function(error) {
+                    delete group.pending[tint];
+                    if (error)
+                        reject(error);
+                    else
+                        resolve(self._async(frame, r, g, b, a));
+                }
+            };
+        });
+
+        this._worker.postMessage({ 
+            id: id, 
+            pixels: pixels.buffer, 
+            r: r, g: g, b: b, a: a 
+        }, [ pixels.buffer ]);
+        return promise;
+    },
+
+    /**
+     * Handles a message from the worker; messages for other caches sharing
+     * the worker are ignored.
+     *
+     * @private
+     */
+    _receive: function(e) {
+        var data = e.data,
+            request = data && this._requests[data.id];
+        if (request) {
+            delete this._requests[data.id];
+            request.receive(new Uint8ClampedArray(data.pixels));
+        }
+    },
+
+    /**
+     * Handles an `error` event from the worker by removing it, so that the
+     * tints in flight are made on the main thread instead.
+     *
+     * @private
+     */
+    _workerError: function() {
+        this.worker = null;
+    },
+
+    /**
+     * Gives up on the requests sent to the worker. Each is rejected with
+     * `error` if one is given, or requested again otherwise.
+     *
+     * @private
+     */
+    _abandon: function(error) {
+        var requests = this._requests;
+        this._requests = {};
+        for (var id in requests)
+            requests[id].fail(error);
+    },
+
+    /**
+     * Like `tinted()`, but returns the tint at one of the `scales` this cache
+     * was created with, for sprites drawn smaller than their native size. 
+     * The smallest scale at least as large as `scale` is used (or the largest
+     * scale, if none are), so the tint never has to be enlarged when drawn. 
+     * Each scale is tinted from a copy of the image data shrunk with a box 
+     * filter, and is cached as a tint of its own.
+     * 
+     * Without the `scales` option, this returns the full size tint.
+     *
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number|String|Array|Object} color the color
+     * @param  {Number} scale the scale the tint will be drawn at
+     * @return {HTMLCanvasElement|Image} the tinted canvas or image
+     */
+    scaled: function(frame, color, scale) {
+        if (scale === undefined) {
+            scale = color;
+            color = frame;
+            frame = this._fullFrame;
+        } else {
+            frame = this._frame(frame);
+        }
+
+        var c = colors.parse(color);
+        var i = this._tint(this._pick(frame, scale), null, c[0], c[1], c[2], c[3]);
+        return this._result(i);
+    },
+
+    /**
+     * Returns the level of a frame to use when drawing at the given scale,
+     * according to our `scales`; this may be the frame itself.
+     *
+     * @private
+     */
+    _pick: function(frame, scale) {
+        var scales = this.scales;
+        if (!scales)
+            return frame;
+
+        var j = scales.length - 1;
+        while (j > 0 && scales[j] < scale)
+            j--;
+        return this._level(frame, scales[j]);
+    },
+
+    /**
+     * Returns the copy of a frame at the given scale, creating it if
+     * necessary. Levels are frames of their own, with their own lookup 
+     * tables and image data; their size follows the source.
+     *
+     * @private
+     */
+    _level: function(frame, scale) {
+        if (scale === 1)
+            return frame;
+
+        var level = frame.levels[scale];
+        if (!level) {
+            level = frame.levels[scale] = createFrame(frame.name, frame.x, frame.y, 0, 0);
+            level.parent = frame;
+            level.scale = scale;
+            this._frameList.push(level);
+        }
+
+        var full = frame === this._fullFrame;
+        level.width = Math.max(1, Math.round((full ? this.source.width : frame.width) * scale));
+        level.height = Math.max(1, Math.round((full ? this.source.height : frame.height) * scale));
+        return level;
+    },
+
+    /**
+     * Returns a canvas for the image blended with a color, using one of the
+     * per-pixel `TintCache.Blend` modes: MULTIPLY, SCREEN, ADD, OVERLAY, 
+     * SILHOUETTE (fill with the color, keeping alpha) or LERP (towards the color).
+     * The result is mixed with the original image by `amount`, from 0 to 1;
+     * e.g. `blended(Blend.LERP, 255, 255, 255, 0.5)` for a half-white flash. 
+     * LERP is another name for SILHOUETTE, and shares its tints.
+     *
+     * Blends are always done on the image data, whatever the `mode`, and are
+     * cached alongside the other tints. The blend and amount are part of the
+     * key, and the amount is rounded like the color components (as a byte).
+     * 
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {String} blend the TintCache.Blend mode
+     * @param  {Number} r the red byte, 0-255
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} amount the strength of the blend, 0-1 (optional, default 1)
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {HTMLCanvasElement|Image} the blended canvas or image
+     */
+    blended: function(blend, r, g, b, amount, a) {
+        var frame = this._fullFrame;
+        if (typeof r !== "number") {
+            frame = this._frame(blend);
+            blend = r; r = g; g = b; b = amount; amount = a; a = arguments[6];
+        }
+
+        if (!Blend.hasOwnProperty(blend))
+            throw new Error("TintCache.Blend must be one of MULTIPLY, SCREEN, ADD, OVERLAY, SILHOUETTE, or LERP");
+
+        amount = toByte( (amount === 0 || amount) ? amount * 255 : 255 );
+
+        var step = this.rounding;
+        if (step > 0 && !this._palette)
+            amount = toByte( Math.round(amount / step) * step );
+
+        var i = this._tint(frame, this._blend(blend, amount), r, g, b, a);
+        return this._result(i);
+    },
+
+    /**
+     * Returns the (shared) variant for the given blend and amount byte.
+     *
+     * @private
+     */
+    _blend: function(blend, amount) {
+        //LERP makes the same pixels as SILHOUETTE, so they share tints
+        if (blend === "LERP")
+            blend = "SILHOUETTE";
+
+        var fn = Blend[blend];
+        return this._variant(blend + ":" + amount, true, function(input, output, r, g, b, a) {
+            fn(input, output, r, g, b, a, amount / 255);
+        });
+    },
+
+    /**
+     * Returns a canvas for the image with its hue rotated and its saturation
+     * and lightness scaled, for effects a multiply can't express. The options:
+     *
+     * - `hue` the hue rotation in degrees (default 0)
+     * - `saturation` the saturation factor, 0-2 (default 1); 0 is grayscale
+     * - `lightness` the lightness factor, 0-2 (default 1)
+     * - `alpha` the alpha byte, 0-255 (default 255)
+     *
+     * Saturation and lightness outside of 0-2 throw an error.
+     *
+     * Like blends, transforms are done on the image data whatever the `mode`,
+     * and share the cache with the other tints. Each component is quantized 
+     * to a byte (the hue in steps of 360/256 degrees) which `rounding` then 
+     * rounds. A cached transform is used when it is within `fuzziness` of
+     * the one asked for, measured in degrees of hue (around the circle) and
+     * percent of saturation, lightness and alpha; e.g. with a fuzziness of
+     * 2, a hue of 92 finds a cached hue of 90. In `deterministic` mode 
+     * transforms are only looked up exactly.
+     * 
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Object} options the transform
+     * @return {HTMLCanvasElement|Image} the transformed canvas or image
+     */
+    transformed: function(frame, options) {
+        if (options === undefined) {
+            options = frame;
+            frame = this._fullFrame;
+        } else {
+            frame = this._frame(frame);
+        }
+
+        var hue = options.hue || 0,
+            saturation = (options.saturation === 0 || options.saturation) ? options.saturation : 1,
+            lightness = (options.lightness === 0 || options.lightness) ? options.lightness : 1;
+
+        if (!(saturation >= 0 && saturation <= 2) || !(lightness >= 0 && lightness <= 2))
+            throw new Error("TintCache saturation and lightness must be from 0 to 2");
+
+        //the hue wraps around, so we round it here rather than in _tint
+        var h = ((hue % 360 + 360) % 360) / 360 * 256;
+        var step = this.rounding;
+        if (step > 0)
+            h = Math.round(h / step) * step;
+        h = Math.round(h) % 256;
+
+        var i = this._tint(frame, this._transform(), h, 
+                factorToByte(saturation), factorToByte(lightness), options.alpha);
+        return this._result(i);
+    },
+
+    /**
+     * Returns a canvas for the image with its luminance mapped through a 
+     * ramp of colors; e.g. `gradientMapped([ "#302", "#f80" ])` for a duotone
+     * with purple shadows and orange highlights. Each stop is a color in any
+     * of the forms accepted by `tinted()`, or `{ offset, color }` with an 
+     * offset from 0 (black) to 1 (white). Stops without an offset are spread 
+     * evenly. The alpha of the stops, and `alpha` (a byte, default 255), 
+     * scale the alpha of the image.
+     *
+     * Like blends, gradient maps are done on the image data whatever the 
+     * `mode`, and share the cache with the other tints. The stop list is the
+     * key, with `rounding` applied to the color of each stop.
+     * 
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Array} stops the color stops
+     * @param  {Number} alpha the alpha byte, 0-255 (optional, default 255)
+     * @return {HTMLCanvasElement|Image} the mapped canvas or image
+     */
+    gradientMapped: function(frame, stops, alpha) {
+        if (Array.isArray(frame)) {
+            alpha = stops;
+            stops = frame;
+            frame = this._fullFrame;
+        } else {
+            frame = this._frame(frame);
+        }
+
+        if (!stops || stops.length === 0)
+            throw new Error("a gradient map needs at least one stop");
+
+        var step = (this.rounding > 0 && !this._palette) ? this.rounding : 0;
+
+        //the key lists each stop as "offset,r,g,b,a" bytes
+        var parts = [];
+        for (var j=0; j<stops.length; j++) {
+            var stop = stops[j],
+                hasOffset = stop && typeof stop === "object" && "color" in stop,
+                c = colors.parse(hasOffset ? stop.color : stop),
+                offset = hasOffset ? stop.offset : (stops.length > 1 ? j / (stops.length - 1) : 0);
+
+            var bytes = [ offset * 255, c[0], c[1], c[2], c[3] ];
+            for (var k=0; k<bytes.length; k++) {
+                var v = bytes[k];
+                if (step > 0 && k > 0)
+                    v = Math.round(v / step) * step;
+                bytes[k] = toByte(Math.round(v));
+            }
+            parts.push(bytes.join(","));
+        }
+
+        var i = this._tint(frame, this._gradientMap("MAP:" + parts.join(";")), 0, 0, 0, alpha);
+        return this._result(i);
+    },
+
+    /**
+     * Returns the (shared) variant for a gradient map, given its key; the
+     * lookup table is built from the stops in the key.
+     *
+     * @private
+     */
+    _gradientMap: function(key) {
+        var variant = this._variants[key];
+        if (variant)
+            return variant;
+
+        var stops = key.substring(4).split(";").map(function(part) {
+            var b = part.split(",").map(Number);
+            return { offset: b[0], r: b[1], g: b[2], b: b[3], a: b[4] };
+        });
+        stops.sort(function(x, y) {
+            return x.offset - y.offset;
+        });
+
+        var table = gradientMap.lookup(stops);
+        return this._variant(key, false, function(input, output, r, g, b, a) {
+            gradientMap.apply(input, output, table, a);
+        });
+    },
+
+    /**
+     * Returns the (shared) variant for HSL transforms, which are packed
+     * as hue, saturation and lightness bytes in place of r, g and b.
+     *
+     * @private
+     */
+    _transform: function() {
+        return this._variant("HSL", false, function(input, output, h, s, l, a) {
+            hsl(input, output, h * 360 / 256, byteToFactor(s), byteToFactor(l), a);
+        }, transformDistance);
+    },
+
+    /**
+     * Returns the (shared) variant for the given key, creating it with the 
+     * given pixel function if necessary. A variant's `apply(input, output, 
+     * r, g, b, a)` fills the output bytes from the input bytes. If `color` 
+     * is false, the r, g, b bytes aren't a color and skip the palette; 
+     * such variants are only looked up exactly, unless they are given a
+     * `distance` of their own in the form of a TintCache.Distance metric.
+     *
+     * @private
+     */
+    _variant: function(key, color, apply, distance) {
+        var variant = this._variants[key];
+        if (!variant) {
+            variant = this._variants[key] = {
+                key: key,
+                color: color,
+                distance: distance || null,
+                apply: apply
+            };
+        }
+        return variant;
+    },
+
+    /**
+     * Returns the lookup tables of a frame for the given variant key,
+     * creating them if necessary. The empty key is used for plain tints.
+     * Unless `color` is false, the group's tints are colors and may be 
+     * looked up by fuzziness; otherwise only if a `distance` is given.
+     *
+     * @private
+     */
+    _group: function(frame, key, color, distance) {
+        var group = frame.groups[key];
+        if (!group) {
+            //exact lookups go through a hash of tint -> index, 
+            //and fuzzy lookups through a spatial index of LAB colors
+            group = frame.groups[key] = {
+                key: key,
+                lookup: {},
+                grid: new LabGrid(),
+
+                //the number of tints in the group, whether they 
+                //are colors, and the metric for other fuzzy lookups
+                count: 0,
+                color: color !== false,
+                distance: distance || null,
+
+                //promises for tints being made by the worker
+                pending: {}
+            };
+        }
+        return group;
+    },
+
+    /**
+     * Looks up (or creates) the tint for the given frame, variant and color, and 
+     * returns its index in the cache, or -1 if the source isn't ready. The 
+     * variant is null for plain tints.
+     *
+     * @private
+     */
+    _tint: function(frame, variant, r, g, b, a, fillStyle) {
+        //support the older tinted(r, g, b, fillStyle) signature
+        if (typeof a === "string") {
+            fillStyle = a;
+            a = 255;
+        } else if (a !== 0 && !a) {
+            a = 255;
+        }
+
+        //a rounded color can't use the fill style it was given
+        if (this.rounding > 0)
+            fillStyle = undefined;
+
+        var color = this._color(variant, r, g, b, a);
+        return this._tintExact(frame, variant, color[0], color[1], color[2], color[3], fillStyle);
+    },
+
+    /**
+     * Like `_tint()`, for a color which was already rounded and snapped
+     * by `_color()`; running it through again could move it.
+     *
+     * @private
+     */
+    _tintExact: function(frame, variant, r, g, b, a, fillStyle) {
+        if (!this._prepare())
+            return -1;
+
+        var src = this.source;
+        var full = frame === this._fullFrame;
+        var width = full ? src.width : frame.width,
+            height = full ? src.height : frame.height;
+
+        var group = variant 
+                ? this._group(frame, variant.key, variant.color, variant.distance) 
+                : this._group(frame, "");
+
+        //blends and transforms always work on the image data
+        var usePixelData = this._usePixelData || variant !== null;
+        this._readFrame(frame, usePixelData);
+
+        //We might have a cached tint...
+        var tint = pack(r, g, b, a);
+        var i = this._indexOf(group, r, g, b, a);
+
+        var ret = i !== -1 ? this.descriptors[i] : null;
+        var stats = this._stats;
+
+        if (ret) {
+            this._hit(group, i, r, g, b, a);
+        }
+        //Couldn't find a tint by that color.
+        else {
+            var start = now();
+            stats.misses++;
+
+            //find an empty slot, or evict a tint according to our policy
+            i = this._victim();
+            if (this.tints[i] !== TintCache.NONE)
+                this._evict(i);
+
+            //make room within the manager's global budget, if we have one
+            if (this.manager)
+                this.manager._reserve(this, i, width, height);
+
+            //Get the canvas at that spot in our cache...
+            var descriptor = this.descriptors[i];
+            var otherBuffer = null;
+
+            //We can re-use the Canvas !
+            if (descriptor) {
+                //The size doesn't match, update the descriptor
+                var resized = descriptor.width !== width
+                        || descriptor.height !== height;
+                if (resized) {
+                    if (descriptor.slot) {
+                        this._pack(descriptor, this._atlas.resize(descriptor.slot, width, height));
+                    } else {
+                        descriptor.canvas.width = width;
+                        descriptor.canvas.height = height;
+                    }
+                    descriptor.width = width;
+                    descriptor.height = height;
+                }
+
+                //We can't re-use the ImageData.. gotta grab new object
+                if ( usePixelData && (resized || !descriptor.buffer) ) {
+                    var tmpImageData = descriptor.context.createImageData(width, height);
+                    descriptor.buffer = new ImageBuffer(tmpImageData);
+                }
+
+                otherBuffer = descriptor.buffer;
+            }
+            //We need to create a new canvas (or find room in the atlas)
+            else {
+                var slot = this._atlas ? this._atlas.allocate(width, height) : null;
+                var dcanvas = slot ? slot.page.canvas : this.createCanvas(width, height);
+                var dcontext = slot ? slot.page.context : dcanvas.getContext("2d");
+
+                if (usePixelData) {
+                    var dImgData = dcontext.createImageData(width, height);
+                    otherBuffer = new ImageBuffer(dImgData);
+                }
+
+                descriptor = {
+                    width: width,
+                    height: height,
+                    canvas: dcanvas,
+                    context: dcontext,
+                    buffer: otherBuffer,
+                    image: null,
+                    bitmap: null,
+                    stored: false,
+                    storeId: 0,
+                    lab: null,
+                    frame: null,
+                    group: null,
+                    hits: 0,
+                    created: 0,
+                    lastUsed: 0,
+                    pinned: false,
+
+                    //the number of sequences holding the tint, and 
+                    //whether they pinned it; see _hold()
+                    holds: 0,
+                    heldPin: false,
+
+                    //where the tint is in its canvas, which is shared with 
+                    //other tints when we use an atlas
+                    slot: null,
+                    sx: 0,
+                    sy: 0,
+                    region: null,
+
+                    //the last pattern made from the tint, with its context
+                    pattern: null,
+
+                    //bumped whenever a new tint is drawn into the descriptor
+                    version: 0,
+
+                    //the tick the tint was last requested in, and 
+                    //the time of that tick; see tick()
+                    lastTick: 0,
+                    lastTime: 0
+                };
+                if (slot)
+                    this._pack(descriptor, slot);
+
+                //store the new canvas in the array
+                this.descriptors[ i ] = descriptor;
+            }
+
+            var workStart = now();
+
+            if (variant) {
+                //Blends or transforms the input and places it into the output
+                variant.apply( frame.buffer.uint8, otherBuffer.uint8, r, g, b, a );
+
+                //put the image data onto the canvas
+                descriptor.context.putImageData( otherBuffer.imageData, descriptor.sx, descriptor.sy );
+
+                stats.pixelTime += now() - workStart;
+            } else if (usePixelData) {
+                //Multiplies the input by the RGBA and places it into the output (our tint)
+                if (this._linear)
+                    linear.multiply( frame.linear, otherBuffer.uint8, r, g, b, a );
+                else
+                    ImageBuffer.multiply( frame.buffer, otherBuffer, r, g, b, a );
+
+                //put the image data onto the canvas
+                descriptor.context.putImageData( otherBuffer.imageData, descriptor.sx, descriptor.sy );
+
+                stats.pixelTime += now() - workStart;
+            } else {
+                //if no fill style is passed, or the color was rounded, we need to convert the rgb into a string
+                if (!fillStyle) {
+                    fillStyle = "rgb(" + r + ", " + g + ", " + b + ")";
+                }
+
+                //compositing would touch the other tints in an atlas page,
+                //so in that case we draw on a scratch canvas and copy it in
+                var dctx = descriptor.slot ? this._scratchContext(width, height) : descriptor.context;
+
+                //now tint the cached canvas
+                util.tint( dctx, full ? src : frame.canvas, fillStyle, 0, 0, width, height, this._colorizeOnly );
+
+                //bake the alpha into the tint by scaling what was drawn
+                if (a !== 255) {
+                    dctx.save();
+                    dctx.globalCompositeOperation = "destination-in";
+                    dctx.fillStyle = "rgba(0, 0, 0, " + (a / 255) + ")";
+                    dctx.fillRect(0, 0, width, height);
+                    dctx.restore();
+                }
+
+                if (descriptor.slot) {
+                    descriptor.context.clearRect(descriptor.sx, descriptor.sy, width, height);
+                    descriptor.context.drawImage(dctx.canvas, descriptor.sx, descriptor.sy);
+                }
+
+                stats.compositeTime += now() - workStart;
+            }
+
+            //any pattern was made from the old tint
+            descriptor.pattern = null;
+            descriptor.version++;
+
+            //reset the usage info for our eviction policy
+            descriptor.hits = 0;
+            descriptor.created = clock + 1;
+            descriptor.pinned = false;
+            descriptor.holds = 0;
+            descriptor.heldPin = false;
+
+            this.tintsProcessed++;
+            
+            //Store the new tint
+            this._store(i, frame, group, tint, r, g, b, a);
+            ret = descriptor;
+
+            //copy the tint into an image or bitmap, if we use one
+            this._encode(descriptor);
+
+            if (this.onMiss) {
+                this.onMiss({ 
+                    r: r, g: g, b: b, a: a, 
+                    frame: frame.name, 
+                    index: i, 
+                    time: now() - start 
+                });
+            }
+        }
+
+        this._touch(i);
+        return i;
+    },
+
+    /**
+     * Counts a lookup of the given color which found the tint at index `i`,
+     * fuzzily if it is another color.
+     *
+     * @private
+     */
+    _hit: function(group, i, r, g, b, a) {
+        var stats = this._stats,
+            found = this.tints[i];
+        stats.hits++;
+
+        if (found !== pack(r, g, b, a)) {
+            stats.fuzzyHits++;
+            stats.fuzzyError += (group.distance || this._distance)(r, g, b, a, 
+                    (found >> 16) & 0xff, (found >> 8) & 0xff, found & 0xff, 255 - ((found >>> 24) & 0xff));
+        }
+    },
+
+    /**
+     * Marks the tint at index `i` as used, for the eviction policy and 
+     * the idle policy of `tick()`.
+     *
+     * @private
+     */
+    _touch: function(i) {
+        var descriptor = this.descriptors[i];
+        descriptor.hits++;
+        descriptor.lastUsed = ++clock;
+        descriptor.lastTick = this._ticks;
+    },
+
+    /**
+     * Checks the source before a lookup: marks the cache dirty if we are
+     * tracking a source which changed, and if the cache is dirty, resets it 
+     * so the image data of every frame is re-read. Returns false if the 
+     * source isn't ready to be tinted.
+     *
+     * @private
+     */
+    _prepare: function() {
+        var src = this.source;
+
+        if (this._track && sourceChanged(src, this._sourceState)) {
+            readSource(src, this._sourceState);
+            this.dirty = true;
+        }
+
+        if (!this.ready)
+            return false;
+
+        //If the source is dirty, we need to reset this cache of tints
+        //and re-read the image data of every frame.
+        //This is done in both compositing & pixel multiply mode
+        if (this.dirty) {
+            this.reset();
+            for (var j=0; j<this._frameList.length; j++) {
+                this._frameList[j].buffer = null;
+                this._frameList[j].canvas = null;
+                this._frameList[j].linear = null;
+            }
+            this.dirty = false;
+        }
+        return true;
+    },
+
+    /**
+     * Rounds, clamps and (for colors) palette-snaps the given components,
+     * returning them in a shared [r, g, b, a] array.
+     *
+     * @private
+     */
+    _color: function(variant, r, g, b, a) {
+        var step = this.rounding;
+
+        //only colors are snapped to the palette
+        var palette = (!variant || variant.color) ? this._palette : null;
+        
+        if (step > 0 && !palette) {
+            //round to nearest N byte
+            r = Math.round(r / step) * step;
+            g = Math.round(g / step) * step;
+            b = Math.round(b / step) * step;    
+            a = Math.round(a / step) * step;
+        }
+
+        var out = this._rgba;
+
+        //clamp and floor
+        out[0] = toByte(r);
+        out[1] = toByte(g);
+        out[2] = toByte(b);
+        out[3] = toByte(a);
+
+        //snap to the nearest palette color
+        if (palette) {
+            var index;
+            if (this._distance === Distance.LAB76) {
+                var lab = rgb2lab(out[0], out[1], out[2], this.tmpLab);
+                lab.alpha = out[3] * ALPHA_SCALE;
+                index = this._paletteGrid.nearest(lab, Infinity);
+            } else {
+                index = nearestColor(this._distance, palette, out[0], out[1], out[2], out[3]);
+            }
+
+            var entry = palette[index];
+            out[0] = entry[0];
+            out[1] = entry[1];
+            out[2] = entry[2];
+            out[3] = entry[3];
+        }
+        //or to the center of its bucket
+        else if (this.deterministic && (!variant || variant.color)) {
+            this._bucket(out);
+        }
+        return out;
+    },
+
+    /**
+     * Snaps the given [r, g, b, a] bytes in place to the center of their 
+     * bucket for `deterministic` lookups. Buckets are `fuzziness` wide in
+     * Lab (with alpha in the units of lightness), or in RGB for the RGB
+     * distance, and are centered on multiples of the fuzziness so that 
+     * grays stay gray.
+     *
+     * A bucket always snaps to the same bytes, and those bytes are in the
+     * bucket, so snapping twice doesn't move a color. Where the center 
+     * rounds into another bucket (e.g. out of gamut), the nearest bytes 
+     * inside the bucket are used; if there are none close to the center,
+     * the color is left as it is.
+     *
+     * @private
+     */
+    _bucket: function(out) {
+        var size = this.fuzziness;
+        if (size <= 0)
+            return out;
+
+        if (this._distance === Distance.RGB) {
+            for (var k=0; k<4; k++)
+                out[k] = toByte( Math.round( Math.round(out[k] / size) * size ) );
+            return out;
+        }
+
+        var lab = rgb2lab(out[0], out[1], out[2], this.tmpLab),
+            l = Math.round(lab.l / size),
+            a = Math.round(lab.a / size),
+            b = Math.round(lab.b / size),
+            alpha = Math.round(out[3] * ALPHA_SCALE / size);
+        out[3] = toByte( Math.round(alpha * size / ALPHA_SCALE) );
+
+        var key = size + ":" + l + "," + a + "," + b,
+            center = this._buckets[key];
+        if (center === undefined) {
+            center = lab2rgb(l * size, a * size, b * size);
+            if (!inBucket(center, l, a, b, size, this.tmpLab))
+                center = this._buckets[key] = nearestInBucket(center, l, a, b, size);
+        }
+
+        if (center) {
+            out[0] = center[0];
+            out[1] = center[1];
+            out[2] = center[2];
+        }
+        return out;
+    },
+
+    /**
+     * Reads what a frame needs to be tinted, if it hasn't been read since
+     * the cache was last reset: its image data for the pixel modes, or a
+     * copy of its region for the compositing modes.
+     *
+     * @private
+     */
+    _readFrame: function(frame, usePixelData) {
         var src = this.source;
+        var full = frame === this._fullFrame;
+        var width = full ? src.width : frame.width,
+            height = full ? src.height : frame.height;
+
+        if (frame.parent) {
+            this._readLevel(frame, usePixelData);
+        }
+        //In pixel multiply mode, we need to cache the ImageData whenever it changes
+        else if (usePixelData && !frame.buffer) {
+            if (!this.canvas) {
+                this.canvas = this.createCanvas(1, 1);
+                this.context = this.canvas.getContext("2d");
+            }
+
+            var canvas = this.canvas, 
+                ctx = this.context;
+
+            canvas.width = width;
+            canvas.height = height;
+
+            //draw the image (or just the frame) to the off-screen canvas
+            ctx.clearRect(0, 0, width, height);
+            if (full)
+                ctx.drawImage(src, 0, 0);
+            else
+                ctx.drawImage(src, frame.x, frame.y, width, height, 0, 0, width, height);
+
+            //get its image data
+            var imageData = ctx.getImageData(0, 0, width, height);
+
+            //get a new ImageBuffer for fast pixel ops
+            frame.buffer = new ImageBuffer(imageData);
+        }
+        //The compositing modes need a copy of the frame to draw from
+        else if (!usePixelData && !full && !frame.canvas) {
+            frame.canvas = this.createCanvas(width, height);
+            frame.canvas.getContext("2d").drawImage(src, frame.x, frame.y, width, height, 0, 0, width, height);
+        }
+
+        //and the linear option multiplies in linear light
+        if (usePixelData && this._linear && !frame.linear)
+            frame.linear = linear.decode(frame.buffer.uint8);
+    },
+
+    /**
+     * Like `_readFrame()`, for a scaled copy of a frame: the image data is 
+     * shrunk from the frame's, and the copy for compositing is drawn scaled.
+     *
+     * @private
+     */
+    _readLevel: function(level, usePixelData) {
+        var parent = level.parent,
+            width = level.width,
+            height = level.height;
+
+        if (usePixelData && !level.buffer) {
+            this._readFrame(parent, true);
+
+            var input = parent.buffer,
+                imageData = this.context.createImageData(width, height);
+
+            //the linear option averages in linear light
+            if (this._linear) {
+                level.linear = new Uint16Array(width * height * 4);
+                downsample(parent.linear, input.width, input.height, level.linear, width, height);
+                linear.encode(level.linear, imageData.data);
+            } else {
+                downsample(input.uint8, input.width, input.height, imageData.data, width, height);
+            }
+            level.buffer = new ImageBuffer(imageData);
+        }
+        else if (!usePixelData && !level.canvas) {
+            var src = this.source,
+                full = parent === this._fullFrame;
+
+            level.canvas = this.createCanvas(width, height);
+            level.canvas.getContext("2d").drawImage(src, 
+                    parent.x, parent.y, 
+                    full ? src.width : parent.width, full ? src.height : parent.height, 
+                    0, 0, width, height);
+        }
+    },
+
+    /**
+     * Stores the tint at the given index, replacing whatever was there and
+     * keeping the lookup tables in sync.
+     *
+     * @private
+     */
+    _store: function(i, frame, group, tint, r, g, b, a) {
+        this._release(i);
+
+        var descriptor = this.descriptors[i];
+        descriptor.lab = rgb2lab(r, g, b, descriptor.lab || {l:0, a:0, b:0, alpha:0});
+        descriptor.lab.alpha = a * ALPHA_SCALE;
+        descriptor.frame = frame;
+        descriptor.group = group;
+
+        //the group may have been dropped along with its last tint
+        frame.groups[group.key] = group;
+        group.count++;
+
+        this.tints[i] = tint;
+        group.lookup[tint] = i;
+        group.grid.insert(i, descriptor.lab);
+    },
+
+    /**
+     * Marks the tint at the given index as empty, keeping the lookup tables in sync.
+     *
+     * @private
+     */
+    _release: function(i) {
+        var tint = this.tints[i];
+        if (tint === TintCache.NONE)
+            return;
+
+        var descriptor = this.descriptors[i],
+            group = descriptor.group;
+        delete group.lookup[tint];
+        group.grid.remove(i);
+        if (--group.count === 0)
+            this._dropGroup(descriptor.frame, group);
 
-        var width = src.width,
-            height = src.height;
+        this.tints[i] = TintCache.NONE;
+        this._unstore(descriptor);
+        this._notify(i);
+    },
 
-        if (width === 0 && height === 0)
-            return src;
+    /**
+     * Forgets an empty group of blends, transforms or gradient maps, along 
+     * with its variant once no frame has a group for it; so that one-off 
+     * keys don't pile up. Groups of plain tints are kept.
+     *
+     * @private
+     */
+    _dropGroup: function(frame, group) {
+        var key = group.key;
+        if (key === "")
+            return;
+        if (frame.groups[key] === group)
+            delete frame.groups[key];
+
+        for (var i=0; i<this._frameList.length; i++) {
+            if (this._frameList[i].groups[key])
+                return;
+        }
+        delete this._variants[key];
+    },
 
+    /**
+     * Releases the tint at the given index along with its descriptor,
+     * so that the canvas and image data can be garbage collected.
+     *
+     * @private
+     */
+    _free: function(i) {
+        if (this.tints[i] !== TintCache.NONE)
+            this._evict(i);
+        if (this.descriptors[i]) {
+            this._unstore(this.descriptors[i]);
+            if (this.descriptors[i].slot)
+                this._atlas.release(this.descriptors[i].slot);
+        }
+        this.descriptors[i] = null;
+    },
 
-        var step = this.rounding;
-        
-        if (step > 0) {
-            //round to nearest N byte
-            r = Math.round(r / step) * step;
-            g = Math.round(g / step) * step;
-            b = Math.round(b / step) * step;    
+    /**
+     * Evicts the tint at the given index, counting it in the stats.
+     *
+     * @private
+     */
+    _evict: function(i) {
+        this._stats.evictions++;
+
+        if (this.onEvict) {
+            var tint = this.tints[i],
+                descriptor = this.descriptors[i];
+            this.onEvict({
+                r: (tint >> 16) & 0xff,
+                g: (tint >> 8) & 0xff,
+                b: tint & 0xff,
+                a: 255 - ((tint >>> 24) & 0xff),
+                frame: descriptor.frame.name,
+                index: i,
+                hits: descriptor.hits
+            });
         }
+        this._release(i);
+    },
 
-        //clamp and floor
-        r = ~~Math.max(0, Math.min(255, r));
-        g = ~~Math.max(0, Math.min(255, g));
-        b = ~~Math.max(0, Math.min(255, b));
+    /**
+     * Returns the drawable object for the given descriptor.
+     *
+     * @private
+     */
+    _output: function(descriptor) {
+        if (descriptor.region)
+            return descriptor.region;
+        if (!descriptor.stored)
+            return descriptor.canvas;
+        return this._storage === TintCache.Storage.IMAGE ? descriptor.image : descriptor.bitmap;
+    },
 
+    /**
+     * Returns what the public methods hand back for the given slot index:
+     * the drawable for the tint, or the source if the index is -1. With an
+     * atlas, the source is returned as a region too.
+     *
+     * @private
+     */
+    _result: function(i) {
+        if (i !== -1)
+            return this._output(this.descriptors[i]);
+        if (!this._atlas)
+            return this.source;
+        return { 
+            canvas: this.source, 
+            sx: 0, sy: 0, 
+            sw: this.source.width, sh: this.source.height 
+        };
+    },
 
-        var i = -1;
+    /**
+     * Points a descriptor at a slot in the atlas.
+     *
+     * @private
+     */
+    _pack: function(descriptor, slot) {
+        descriptor.slot = slot;
+        descriptor.canvas = slot.page.canvas;
+        descriptor.context = slot.page.context;
+        descriptor.sx = slot.x;
+        descriptor.sy = slot.y;
+
+        var region = descriptor.region || (descriptor.region = {});
+        region.canvas = slot.page.canvas;
+        region.sx = slot.x;
+        region.sy = slot.y;
+        region.sw = slot.width;
+        region.sh = slot.height;
+    },
 
-        var usePixelData = this._usePixelData;
+    /**
+     * Returns the context of the scratch canvas, cleared and sized
+     * for a tint which will be copied into the atlas.
+     *
+     * @private
+     */
+    _scratchContext: function(width, height) {
+        if (!this._scratch)
+            this._scratch = this.createCanvas(width, height);
+
+        var scratch = this._scratch;
+        if (scratch.width !== width || scratch.height !== height) {
+            scratch.width = width;
+            scratch.height = height;
+        }
+        var context = scratch.getContext("2d");
+        context.clearRect(0, 0, width, height);
+        return context;
+    },
 
-        //In pixel multiply mode, we need to cache the ImageData whenever it changes
-        if (usePixelData && (this.dirty || !this.buffer)) {
-            var canvas = this.canvas, 
-                ctx = this.context;
+    /**
+     * Draws a tinted copy of the image with its top left at (x, y), and
+     * optionally scaled to (width, height), i.e. `drawTinted(context, [frame],
+     * r, g, b, x, y, [width, height])`. With an atlas, this draws just the
+     * tint's region of the shared canvas. Nothing is drawn until the source
+     * is ready.
+     *
+     * The color can also be given as a single argument, in any of the forms
+     * accepted by `tinted()`: `drawTinted(context, [frame], color, x, y,
+     * [width, height])`. Five numbers are read as `(color, x, y, width, 
+     * height)` unless the first three are all bytes, so only a 0xRRGGBB 
+     * color from black to blue (0x0000ff) drawn within 255 pixels of the 
+     * origin needs to be given as a string or array along with a size. 
+     * Other numbers of arguments throw an error, as does a malformed color.
+     *
+     * If the cache has `scales`, drawing smaller than the image uses the
+     * tint at a matching scale; see `scaled()`.
+     *
+     * @param  {CanvasRenderingContext2D} context the context to draw to
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255 (or the whole color)
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} x the x position to draw at
+     * @param  {Number} y the y position to draw at
+     * @param  {Number} width the width to draw at (optional)
+     * @param  {Number} height the height to draw at (optional)
+     */
+    drawTinted: function(context, r, g, b, x, y, width, height) {
+        var frame = this._fullFrame,
+            count = arguments.length - 1;
+        if (this._isFrame(r)) {
+            frame = this._frame(r);
+            r = g; g = b; b = x; x = y; y = width; width = height; height = arguments[8];
+            count--;
+        }
 
-            canvas.width = width;
-            canvas.height = height;
+        //a single color argument, followed by x, y, width, height;
+        //five numbers are r, g, b, x, y if those can be bytes
+        var single = typeof r !== "number" || count === 3 
+                || (count === 5 && !(isByte(r) && isByte(g) && isByte(b)));
+        if (single ? (count !== 3 && count !== 5) : (count !== 5 && count !== 7))
+            throw new Error("drawTinted() takes r, g, b or a color, then x, y and optionally width and height");
+
+        var c;
+        if (single) {
+            c = colors.parse(r);
+            height = y; width = x; y = b; x = g;
+        } else {
+            c = [ r, g, b, 255 ];
+        }
 
-            //draw the image to the off-screen canvas
-            ctx.clearRect(0, 0, width, height);
-            ctx.drawImage(src, 0, 0);
+        if (width !== undefined && this.scales) {
+            var full = frame === this._fullFrame;
+            var scale = Math.max(width / (full ? this.source.width : frame.width), 
+                    height / (full ? this.source.height : frame.height));
+            frame = this._pick(frame, scale);
+        }
 
-            //get its image data
-            var imageData = ctx.getImageData(0, 0, width, height);
+        var i = this._tint(frame, null, c[0], c[1], c[2], c[3]);
+        if (i === -1)
+            return;
 
-            //get a new ImageBuffer for fast pixel ops
-            this.buffer = new ImageBuffer(imageData);
-        }
-        //The image isn't dirty, so we might have a cached tint...
-        else {
-            i = this.indexOf(r, g, b); 
+        var descriptor = this.descriptors[i];
+        if (width === undefined) {
+            width = descriptor.width;
+            height = descriptor.height;
         }
 
-        // debugger;
+        if (descriptor.slot) {
+            context.drawImage(descriptor.canvas, 
+                    descriptor.sx, descriptor.sy, descriptor.width, descriptor.height, 
+                    x, y, width, height);
+        } else {
+            context.drawImage(this._output(descriptor), x, y, width, height);
+        }
+    },
 
-        //If the tint is dirty, we need to reset this cache of tints
-        //This is done in both compositing & pixel multiply mode
-        if (this.dirty) {
-            this.reset();
-            this.dirty = false;
+    /**
+     * Returns a pattern of the tinted image for the given context, with the 
+     * repetition ("repeat" by default). Patterns are kept with their tint, so 
+     * asking again for the same context and repetition is cheap. Returns null
+     * until the source is ready.
+     *
+     * @param  {CanvasRenderingContext2D} context the context for the pattern
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number|String|Array|Object} color the color
+     * @param  {String} repetition how the pattern repeats (optional)
+     * @return {CanvasPattern} the pattern, or null
+     */
+    createPattern: function(context, color, repetition) {
+        var frame = this._fullFrame;
+        if (this._isFrame(color)) {
+            frame = this._frame(color);
+            color = repetition; repetition = arguments[3];
         }
+        repetition = repetition || "repeat";
 
-        var ret = i !== -1 ? this.descriptors[i] : null;
+        var c = colors.parse(color);
+        var i = this._tint(frame, null, c[0], c[1], c[2], c[3]);
+        if (i === -1)
+            return null;
 
-        //Couldn't find a tint by that color.
-        if (!ret) {
-            //check to see if we've hit our max...
-            if (this.pointer > this.tints.length - 1)
-                this.pointer = 0; 
+        var descriptor = this.descriptors[i];
+        var pattern = descriptor.pattern;
+        if (pattern && pattern.context === context && pattern.repetition === repetition)
+            return pattern.pattern;
+
+        //a pattern repeats the whole image, so regions of an atlas are copied out
+        var image = this._output(descriptor);
+        if (descriptor.slot) {
+            image = this.createCanvas(descriptor.width, descriptor.height);
+            image.getContext("2d").drawImage(descriptor.canvas, 
+                    descriptor.sx, descriptor.sy, descriptor.width, descriptor.height,
+                    0, 0, descriptor.width, descriptor.height);
+        }
 
-            //Get the canvas at the current spot in our circular stack...
-            var descriptor = this.descriptors[ this.pointer ];
-            var otherBuffer = null;
+        descriptor.pattern = {
+            context: context,
+            repetition: repetition,
+            pattern: context.createPattern(image, repetition)
+        };
+        return descriptor.pattern.pattern;
+    },
 
-            //We can re-use the Canvas !
-            if (descriptor) {
-                //The size doesn't match, update the descriptor
-                if (descriptor.width !== width
-                        || descriptor.height !== height) {
-                    //We can't re-use the ImageData.. gotta grab new object
-                    if ( usePixelData ) {
-                        var tmpImageData = descriptor.context.createImageData(width, height);
-                        descriptor.buffer = new ImageBuffer(tmpImageData);
-                    }
-                    descriptor.canvas.width = width;
-                    descriptor.canvas.height = height;
-                    descriptor.width = width;
-                    descriptor.height = height;
+    /**
+     * Copies a freshly drawn tint into the image or bitmap for our storage.
+     * Until that is ready, the canvas is drawn instead.
+     *
+     * @private
+     */
+    _encode: function(descriptor) {
+        this._unstore(descriptor);
+
+        var storage = this._storage,
+            id = descriptor.storeId;
+
+        if (storage === TintCache.Storage.IMAGE && isDataURLSupported(descriptor.canvas)) {
+            var image = descriptor.image;
+            if (!image)
+                image = descriptor.image = this.createImage();
+
+            image.onload = function() {
+                if (descriptor.storeId === id)
+                    descriptor.stored = true;
+            };
+            image.src = toDataURL( descriptor.canvas );
+        } else if (storage === TintCache.Storage.IMAGE_BITMAP) {
+            var request = this.createImageBitmap(descriptor.canvas);
+            if (!request)
+                return;
+
+            request.then(function(bitmap) {
+                //the tint was replaced or released while we waited
+                if (descriptor.storeId !== id) {
+                    bitmap.close();
+                    return;
                 }
+                descriptor.bitmap = bitmap;
+                descriptor.stored = true;
+            }, function() {
+                //leave the canvas in place
+            });
+        }
+    },
 
-                otherBuffer = descriptor.buffer;
-            }
-            //We need to create a new canvas
-            else {
-                var dcanvas = document.createElement("canvas");
-                var dcontext = dcanvas.getContext("2d");
+    /**
+     * Releases the image or bitmap copy of a tint, closing bitmaps. Any copy
+     * still being made is thrown away when it arrives.
+     *
+     * @private
+     */
+    _unstore: function(descriptor) {
+        descriptor.storeId++;
+        descriptor.stored = false;
+        if (descriptor.bitmap) {
+            descriptor.bitmap.close();
+            descriptor.bitmap = null;
+        }
+        if (descriptor.image)
+            descriptor.image.onload = null;
+    },
 
-                if (usePixelData) {
-                    var dImgData = dcontext.createImageData(width, height);
-                    otherBuffer = new ImageBuffer(dImgData);
-                }
+    /**
+     * Returns true if the given tint is cached, and its image or bitmap copy
+     * is ready to draw (with the `canvas` storage, as soon as it is cached).
+     * Until then, `tinted()` returns the tinted canvas, which is drawable.
+     *
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {Boolean} whether the stored tint is ready
+     */
+    isStored: function(r, g, b, a) {
+        var i = this.indexOf.apply(this, arguments);
+        if (i === -1)
+            return false;
+        return this._storage === TintCache.Storage.CANVAS || this.descriptors[i].stored;
+    },
 
-                dcanvas.width = width;
-                dcanvas.height = height;
+    /**
+     * Returns the index of the slot that the next tint should be stored in;
+     * this is the first empty slot, or otherwise the unpinned tint chosen
+     * by our eviction policy.
+     *
+     * @private
+     */
+    _victim: function() {
+        var tints = this.tints,
+            descriptors = this.descriptors,
+            compare = this._eviction,
+            victim = -1;
+
+        for (var i=0; i<tints.length; i++) {
+            if (tints[i] === TintCache.NONE)
+                return i;
+            if (descriptors[i].pinned)
+                continue;
+            if (victim === -1 || compare(descriptors[i], descriptors[victim]) < 0)
+                victim = i;
+        }
 
-                descriptor = {
-                    width: width,
-                    height: height,
-                    canvas: dcanvas,
-                    context: dcontext,
-                    buffer: otherBuffer,
-                    image: null,
-                    lab: null
-                };
+        if (victim === -1)
+            throw new Error("cannot cache tint; every entry in the TintCache is pinned");
+        return victim;
+    },
 
-                //store the new canvas in the array
-                this.descriptors[ this.pointer ] = descriptor;
-            }
+    /**
+     * Returns the statistics gathered since this cache was created, or since
+     * the last call to `resetStats()`. The result has the following:
+     *
+     * - `hits` the requests that were found in the cache
+     * - `misses` the requests that needed a new tint
+     * - `fuzzyHits` the hits which matched a nearby color rather than the exact one
+     * - `averageFuzzyError` the mean distance of those fuzzy hits, by the cache's
+     *   `distance` metric: in RGB bytes, CIE76 or CIEDE2000 units, or those of a 
+     *   custom function; fuzzy hits of transforms count in their own units (see
+     *   `transformed()`)
+     * - `evictions` the tints thrown out to make room for others
+     * - `pixelTime` milliseconds spent in ImageBuffer.multiply and putImageData (BEST mode)
+     * - `compositeTime` milliseconds spent compositing tints (FASTEST and COLORIZE)
+     * - `bytes` an estimate of the memory held by descriptors; each canvas 
+     *   counts `width * height * 4`, plus the same again for its ImageData in BEST mode.
+     *   With an atlas, its pages are counted instead of each tint's canvas.
+     * 
+     * @return {Object} the statistics
+     */
+    stats: function() {
+        var stats = this._stats;
+        return {
+            hits: stats.hits,
+            misses: stats.misses,
+            fuzzyHits: stats.fuzzyHits,
+            averageFuzzyError: stats.fuzzyHits > 0 ? stats.fuzzyError / stats.fuzzyHits : 0,
+            evictions: stats.evictions,
+            pixelTime: stats.pixelTime,
+            compositeTime: stats.compositeTime,
+            bytes: this._held()
+        };
+    },
 
-            if (usePixelData) {
-                //Multiplies the input by the RGBA and places it into the output (our tint)
-                ImageBuffer.multiply( this.buffer, otherBuffer, r, g, b, 255 );
+    /**
+     * Returns the estimated memory held by the cache; see `stats()`.
+     *
+     * @private
+     */
+    _held: function() {
+        var bytes = this._atlas ? this._atlas.bytes() : 0;
+        for (var i=0; i<this.descriptors.length; i++) {
+            if (this.descriptors[i])
+                bytes += this._bytes(this.descriptors[i]);
+        }
+        return bytes;
+    },
 
-                //put the image data onto the canvas
-                descriptor.context.putImageData( otherBuffer.imageData, 0, 0 );
-            } else {
-                //if no fill style is passed, we need to convert the rgb into a string
-                if (!fillStyle || round!==0) {
-                    fillStyle = "rgb(" + r + ", " + g + ", " + b + ")";
-                }
+    /**
+     * Returns the estimated memory held by a descriptor; see `stats()`.
+     *
+     * @private
+     */
+    _bytes: function(descriptor) {
+        var size = descriptor.width * descriptor.height * 4;
 
-                //now tint the cached canvas
-                util.tint( descriptor.context, src, fillStyle, 0, 0, width, height, this._colorizeOnly );
-            }
+        //a tint in the atlas has no canvas of its own
+        if (descriptor.slot)
+            return descriptor.buffer ? size : 0;
+        return descriptor.buffer ? size * 2 : size;
+    },
+
+    /**
+     * Returns the bytes held by canvases, for a TintManager's budget; this
+     * counts `width * height * 4` for each canvas and atlas page.
+     *
+     * @private
+     */
+    _canvasBytes: function() {
+        var bytes = this._atlas ? this._atlas.bytes() : 0;
+        for (var i=0; i<this.descriptors.length; i++) {
+            var descriptor = this.descriptors[i];
+            if (descriptor && !descriptor.slot)
+                bytes += descriptor.width * descriptor.height * 4;
+        }
+        return bytes;
+    },
 
-            var useImage = TintCache.IMAGE_STORAGE && isDataURLSupported(descriptor.canvas);
+    /**
+     * Returns the canvas bytes that storing a tint of the given size at 
+     * index `i` would add, as counted by `_canvasBytes()`.
+     *
+     * @private
+     */
+    _growth: function(i, width, height) {
+        var current = this.descriptors[i];
+        if (!this._atlas)
+            return width * height * 4 - (current ? current.width * current.height * 4 : 0);
+        if (current && current.width === width && current.height === height)
+            return 0;
+        return this._atlas.cost(width, height);
+    },
 
-            //Whether we should use image storage
-            if (useImage) {
-                if (!descriptor.image)
-                    descriptor.image = new Image();
-                descriptor.image.src = toDataURL( descriptor.canvas );
+    /**
+     * Frees tints along with their canvases until the cache holds no more 
+     * than `bytes` (as counted by `stats()`; default 0). Canvases kept for
+     * re-use go first, then tints in the order of our `eviction` policy. 
+     * Pinned tints are kept, even if that leaves the cache over budget. 
+     * Returns the number of bytes freed.
+     *
+     * Unlike `reset()` and `remove()`, this lets the canvases be garbage 
+     * collected. In an atlas, the space of a tint is kept for later tints,
+     * and only counts as freed once its whole page is.
+     * 
+     * @param  {Number} bytes the memory to keep (optional)
+     * @return {Number} the bytes freed
+     */
+    trim: function(bytes) {
+        bytes = bytes || 0;
+
+        var descriptors = this.descriptors,
+            compare = this._eviction,
+            start = this._held(),
+            held = start,
+            i;
+
+        while (held > bytes) {
+            var victim = -1;
+            for (i=0; i<descriptors.length; i++) {
+                var descriptor = descriptors[i];
+                if (!descriptor)
+                    continue;
+                if (this.tints[i] === TintCache.NONE) {
+                    victim = i;
+                    break;
+                }
+                if (descriptor.pinned)
+                    continue;
+                if (victim === -1 || compare(descriptor, descriptors[victim]) < 0)
+                    victim = i;
             }
+            if (victim === -1)
+                break;
 
-            //clear the cached LAB color...
-            descriptor.lab = null;
-
-            this.tintsProcessed++;
-            
-            //Store the new tint
-            this.tints[ this.pointer ] = (r << 16) | (g << 8) | b;
+            this._free(victim);
+            held = this._held();
+        }
+        return start - held;
+    },
 
-            //Increment the pointer for next lookup..
-            this.pointer++;
+    /**
+     * Marks the end of a frame for the `idle` policy, and frees the tints 
+     * which have been idle for too long, along with their canvases. Call 
+     * this once per frame, optionally with the current time in milliseconds
+     * (such as the timestamp given to `requestAnimationFrame` callbacks). 
+     * Returns the number of bytes freed.
+     * 
+     * @param  {Number} time the current time (optional)
+     * @return {Number} the bytes freed
+     */
+    tick: function(time) {
+        time = (time === 0 || time) ? time : now();
+
+        var idle = this.idle,
+            ticks = this._ticks,
+            start = this._held();
+
+        for (var i=0; i<this.descriptors.length; i++) {
+            var descriptor = this.descriptors[i];
+            if (!descriptor)
+                continue;
+            if (descriptor.lastTick === ticks)
+                descriptor.lastTime = time;
+
+            if (!idle || (descriptor.pinned && this.tints[i] !== TintCache.NONE))
+                continue;
+            if ((idle.frames && ticks - descriptor.lastTick >= idle.frames)
+                    || (idle.time && time - descriptor.lastTime >= idle.time))
+                this._free(i);
+        }
 
-            //return the newly cached canvas
-            return useImage ? descriptor.image : descriptor.canvas;
-        } else {
-            var desc = this.descriptors[i];
-            var useImage = TintCache.IMAGE_STORAGE && isDataURLSupported(desc.canvas);
+        this._ticks++;
+        return start - this._held();
+    },
 
-            //Return the cached canvas
-            return useImage ? desc.image : desc.canvas;
-        }
+    /**
+     * Resets the counters reported by `stats()`, e.g. at the start of every frame.
+     */
+    resetStats: function() {
+        this._stats = {
+            hits: 0,
+            misses: 0,
+            fuzzyHits: 0,
+            fuzzyError: 0,
+            evictions: 0,
+            pixelTime: 0,
+            compositeTime: 0
+        };
     },
 
     /**
@@ -383,93 +3363,102 @@ var TintCache = new Class({
      * of the hex codes to TintCache.NONE (a mask higher than anything
      * that will be added to the cache). This will not destroy descriptors
      * or their ImageData references. For that, you should
-     * use clear().
+     * use clear(). Pinned tints are also released.
      */
     reset: function() {
         for (var i=0; i<this.tints.length; i++) {
             this.tints[i] = TintCache.NONE;
+            if (this.descriptors[i])
+                this._unstore(this.descriptors[i]);
+        }
+        this._notify(-1);
+        this._resetFrames();
+    },
+
+    _resetFrames: function() {
+        for (var i=0; i<this._frameList.length; i++) {
+            this._frameList[i].groups = {};
         }
-        this.pointer = 0;
+        this._variants = {};
     },
 
     /**
      * Returns the index of the specified tint in this cache, taking
-     * fuzziness into account during the lookup process.
+     * fuzziness into account during the lookup process. Alpha is compared
+     * in the same units as LAB lightness. In `deterministic` mode, the color
+     * is snapped to its bucket and looked up exactly.
      * 
-     * @param  {[type]} r [description]
-     * @param  {[type]} g [description]
-     * @param  {[type]} b [description]
-     * @return {[type]}   [description]
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {Number} the index of the tint, or -1 if it isn't cached
      */
-    indexOf: function(r, g, b) {
-        var fuzz = this.fuzziness;
-
-        if (fuzz === 0) {
-            var hex = (r << 16) | (g << 8) | b;
-            return this.tints.indexOf(hex);
-        } else {
-            var lab1 = rgb2lab(r, g, b, this.tmpLab);
-
-            var shortestDiffSq = Number.MAX_VALUE;
-            var shortestIndex = -1;
-            var tints = this.tints,
-                descriptors = this.descriptors,
-                fuzzSq = fuzz * fuzz;
+    indexOf: function(r, g, b, a) {
+        var frame = this._fullFrame;
+        if (typeof r !== "number") {
+            frame = this._frame(r);
+            r = g; g = b; b = a; a = arguments[4];
+        }
 
-            for (var i=0; i<tints.length; i++) {
-                var rgb = tints[i];
-                if (rgb === TintCache.NONE)
-                    continue;
+        if (this.deterministic && !this._palette) {
+            var out = this._rgba;
+            out[0] = toByte(r);
+            out[1] = toByte(g);
+            out[2] = toByte(b);
+            out[3] = toByte( (a === 0 || a) ? a : 255 );
+            this._bucket(out);
+            r = out[0]; g = out[1]; b = out[2]; a = out[3];
+        }
+        return this._indexOf(this._group(frame, ""), r, g, b, a);
+    },
 
-                // this loop performs much better when we use a cached lab...
-                if (descriptors[i].lab === null) {
-                    //unpack the tint and determine the LAB colors...
-                    var r2 = ((rgb & 0xff0000) >>> 16);
-                        g2 = ((rgb & 0x00ff00) >>> 8);
-                        b2 = ((rgb & 0x0000ff));
+    _indexOf: function(group, r, g, b, a) {
+        a = (a === 0 || a) ? a : 255;
+        var exact = group.lookup[ pack(r, g, b, a) ];
 
-                    descriptors[i].lab = rgb2lab(r2, g2, b2);
-                }
+        //an exact match will always be the nearest
+        if (exact !== undefined)
+            return exact;
 
-                var lab2 = descriptors[i].lab;                
-                var x1 = lab1.l,
-                    y1 = lab1.a,
-                    z1 = lab1.b,
-                    x2 = lab2.l,
-                    y2 = lab2.a,
-                    z2 = lab2.b;
-
-                var dx = x2-x1,
-                    dy = y2-y1,
-                    dz = z2-z1;
-
-                var diffSq = dx*dx + dy*dy + dz*dz;
-                
-                if (diffSq < shortestDiffSq && diffSq < fuzzSq) {
-                    shortestDiffSq = diffSq;
-                    shortestIndex = i;
-                }
-                
-                // var r2 = ((rgb & 0xff0000) >>> 16);
-                //     g2 = ((rgb & 0x00ff00) >>> 8);
-                //     b2 = ((rgb & 0x0000ff));
+        //buckets, and variants which aren't colors (unless they 
+        //have a distance of their own), are only ever looked up exactly
+        var fuzz = this.fuzziness;
+        if (fuzz <= 0 || this.deterministic || !(group.color || group.distance))
+            return -1;
+        return this._nearest(group, r, g, b, a, fuzz);
+    },
 
-                // var dr = Math.abs(r2-r),
-                //     dg = Math.abs(g2-g),
-                //     db = Math.abs(b2-b);
+    /**
+     * Returns the index of the nearest tint of a group strictly within
+     * `radius` by our distance metric, or -1. Ties go to the lower index.
+     *
+     * @private
+     */
+    _nearest: function(group, r, g, b, a, radius) {
+        var distance = group.distance || this._distance;
+        if (distance === Distance.LAB76) {
+            var lab = rgb2lab(r, g, b, this.tmpLab);
+            lab.alpha = a * ALPHA_SCALE;
+            return group.grid.nearest(lab, radius);
+        }
 
-                // if ( dr < fuzz && dg < fuzz && db < fuzz) {
-                //     var sum = dr+dg+db;
-                //     if (sum < shortestDiffSq) {
-                //         shortestDiffSq = sum;
-                //         shortestIndex = i;
-                //     }
-                // }
+        var lookup = group.lookup,
+            best = -1,
+            bestDist = radius;
+
+        for (var key in lookup) {
+            var i = lookup[key],
+                tint = this.tints[i];
+            var d = distance(r, g, b, a, 
+                    (tint >> 16) & 0xff, (tint >> 8) & 0xff, tint & 0xff, 255 - ((tint >>> 24) & 0xff));
+            if (d < bestDist || (d === bestDist && best !== -1 && i < best)) {
+                bestDist = d;
+                best = i;
             }
-            return shortestIndex;
         }
-
-        return -1;
+        return best;
     },
 
     /**
@@ -477,17 +3466,19 @@ var TintCache = new Class({
      * This will not clear the image data or canvas that may have been at that 
      * index in the cache, since it can be re-used later.
      *
-     * @param  {[type]} r [description]
-     * @param  {[type]} g [description]
-     * @param  {[type]} b [description]
-     * @return {[type]}   [description]
+     * @param  {String|Object} frame the atlas frame (optional)
+     * @param  {Number} r the red byte, 0-255
+     * @param  {Number} g the green byte, 0-255
+     * @param  {Number} b the blue byte, 0-255
+     * @param  {Number} a the alpha byte, 0-255 (optional, default 255)
+     * @return {HTMLCanvasElement} the canvas that held the tint, or null
      */
-    remove: function(r, g, b) {
-        var i = this.indexOf(r, g, b);
+    remove: function(r, g, b, a) {
+        var i = this.indexOf(r, g, b, a, arguments[4]);
         if (i === -1)
             return null;
         var old = this.descriptors[i].canvas;
-        this.tints[i] = TintCache.NONE;
+        this._release(i);
         return old;
     },
 
@@ -498,17 +3489,52 @@ var TintCache = new Class({
     clear: function() {
         for (var i=0; i<this.tints.length; i++) {
             this.tints[i] = TintCache.NONE;
+            if (this.descriptors[i])
+                this._unstore(this.descriptors[i]);
             this.descriptors[i] = null;
         }
-        this.pointer = 0;
+        if (this._atlas)
+            this._atlas.clear();
+        this._resetFrames();
+        this._notify(-1);
+    },
+
+    /**
+     * Registers a function which is called with a slot index whenever the
+     * tint in that slot is thrown away, or with -1 when every tint is. This
+     * lets companions such as TintTextures release what they made from it.
+     *
+     * @private
+     */
+    _watch: function(fn) {
+        this._watchers.push(fn);
+    },
+
+    _unwatch: function(fn) {
+        var i = this._watchers.indexOf(fn);
+        if (i !== -1)
+            this._watchers.splice(i, 1);
+    },
+
+    _notify: function(index) {
+        for (var i=0; i<this._watchers.length; i++)
+            this._watchers[i](index);
     },
 
     destroy: function() {
+        this.track = false;
+        this.trimOnHide = false;
+        this._abandon(new Error("the TintCache was destroyed"));
+        this.worker = null;
         this.clear();
         this.canvas = null;
         this.context = null;
-        this.buffer = null;
         this.dirty = true;
+        for (var i=0; i<this._frameList.length; i++) {
+            this._frameList[i].buffer = null;
+            this._frameList[i].canvas = null;
+            this._frameList[i].linear = null;
+        }
     }
 });
 
@@ -530,15 +3556,133 @@ TintCache.Mode = {
     COLORIZE: "COLORIZE"
 };
 
+/**
+ * The per-pixel blends for `blended()`.
+ * 
+ * ```
+ *     Blend.MULTIPLY
+ *     Blend.SCREEN
+ *     Blend.ADD
+ *     Blend.OVERLAY
+ *     Blend.SILHOUETTE
+ *     Blend.LERP
+ * ```
+ *
+ * @attribute {Object} Blend
+ */
+TintCache.Blend = {
+    MULTIPLY: "MULTIPLY",
+    SCREEN: "SCREEN",
+    ADD: "ADD",
+    OVERLAY: "OVERLAY",
+    SILHOUETTE: "SILHOUETTE",
+    LERP: "LERP"
+};
+
+/**
+ * The built-in eviction policies; see `eviction`.
+ * 
+ * ```
+ *     Eviction.FIFO
+ *     Eviction.LRU
+ *     Eviction.LFU
+ * ```
+ *
+ * @attribute {Object} Eviction
+ */
+TintCache.Eviction = Eviction;
+
+/**
+ * The metrics for the `distance` option, which compare colors in fuzzy 
+ * lookups and when snapping to the palette.
+ * 
+ * ```
+ *     Distance.RGB        Euclidean distance of the RGBA bytes
+ *     Distance.LAB76      Euclidean distance in Lab (CIE76)
+ *     Distance.CIEDE2000  the CIEDE2000 color difference
+ * ```
+ *
+ * @attribute {Object} Distance
+ */
+TintCache.Distance = Distance;
+
 //We can't use 0 for default since that will be found as (0x000000),
 //so instead we use a number that is larger than anything that will be stored
-//in the tint cache.
+//in the tint cache (keys are signed 32-bit integers, see pack).
 TintCache.NONE = 0xFFFFFFFF;
+
+/**
+ * Where the tints are kept, given as the `storage` option.
+ * 
+ * ```
+ *     Storage.CANVAS        the tinted canvas itself
+ *     Storage.IMAGE_BITMAP  an ImageBitmap snapshot of the canvas
+ *     Storage.IMAGE         an Image loaded from a data URL of the canvas
+ * ```
+ *
+ * Bitmaps and images are made asynchronously; until then, and if they
+ * aren't supported, the canvas is returned instead. See `isStored()`.
+ *
+ * @attribute {Object} Storage
+ */
+TintCache.Storage = {
+    CANVAS: "canvas",
+    IMAGE_BITMAP: "imagebitmap",
+    IMAGE: "image"
+};
+
+/**
+ * If true, caches created without a `storage` option use `Storage.IMAGE`.
+ * 
+ * @attribute {Boolean} IMAGE_STORAGE
+ * @deprecated use the `storage` option instead
+ */
 TintCache.IMAGE_STORAGE = false;
 
+/**
+ * The scales used by the `scales: true` option: power-of-two levels,
+ * like the mipmaps of a texture.
+ * 
+ * @attribute {Array} MIPMAP_SCALES
+ * @static
+ */
+TintCache.MIPMAP_SCALES = [ 1, 0.5, 0.25, 0.125 ];
+
 TintCache.DEFAULT_ROUNDING = 8;
 TintCache.DEFAULT_SIZE = 5;
 TintCache.DEFAULT_FUZZINESS = 2;
 TintCache.DEFAULT_MODE = TintCache.Mode.BEST;
+TintCache.DEFAULT_EVICTION = Eviction.FIFO;
+TintCache.DEFAULT_DISTANCE = Distance.LAB76;
+TintCache.DEFAULT_WARM_BUDGET = 4;
+TintCache.DEFAULT_STORAGE = TintCache.Storage.CANVAS;
+TintCache.DEFAULT_ATLAS_SIZE = Atlas.DEFAULT_SIZE;
+
+//the format of the snapshots made by export()
+TintCache.EXPORT_VERSION = 1;
+
+/**
+ * Returns a ramp of `steps` colors between two colors; see `warm()`.
+ *
+ * @method gradient
+ * @static
+ */
+TintCache.gradient = colors.gradient;
+
+/**
+ * Returns a list of colors from a palette of 0xRRGGBB integers, optionally 
+ * joined by gradients; see `warm()`.
+ *
+ * @method palette
+ * @static
+ */
+TintCache.palette = colors.palette;
+
+/**
+ * Keeps snapshots from `export()` in IndexedDB; see lib/IndexedDBStore.
+ * 
+ * @attribute {Function} IndexedDBStore
+ */
+TintCache.IndexedDBStore = IndexedDBStore;
 
 module.exports = TintCache;
\ No newline at end of file
@@ -0,0 +1,258 @@
+var Class = require('klasse');
+
+/**
+ * Packs rectangles into one or more large canvases ("pages"), used by
+ * TintCache to share a few canvases between many small tints. Rectangles
+ * are placed on shelves, left to right; released slots are kept and handed
+ * out again to any rectangle that fits in them, the smallest first. A page
+ * is dropped once every slot on it is released.
+ *
+ * Slots are objects with `page, x, y, width, height` properties, plus the
+ * `maxWidth, maxHeight` of the room they take up; and pages have `canvas, 
+ * context, width, height` properties.
+ *
+ * @class Atlas
+ * @constructor
+ * @param {Function} createCanvas the factory for new pages
+ * @param {Number} size the width and height of each page
+ */
+var Atlas = new Class({
+
+    initialize: function(createCanvas, size) {
+        this.createCanvas = createCanvas;
+        this.size = size || Atlas.DEFAULT_SIZE;
+
+        /**
+         * The pages allocated so far.
+         *
+         * @property {Array} pages
+         * @readOnly
+         */
+        this.pages = [];
+
+        //released slots
+        this.free = [];
+    },
+
+    /**
+     * Returns a slot for a rectangle of the given size, reusing a released
+     * slot if one fits, and adding a page if needed. Rectangles larger than
+     * a page get a page of their own.
+     *
+     * @method allocate
+     * @param  {Number} width the width of the rectangle
+     * @param  {Number} height the height of the rectangle
+     * @return {Object} the slot
+     */
+    allocate: function(width, height) {
+        var spare = this._spare(width, height);
+        if (spare !== -1) {
+            var slot = this.free.splice(spare, 1)[0];
+            slot.width = width;
+            slot.height = height;
+            slot.page.used++;
+            return slot;
+        }
+
+        //leave a gutter so neighbours don't bleed when drawn with filtering
+        var w = width + Atlas.PADDING,
+            h = height + Atlas.PADDING;
+
+        for (var i=0; i<this.pages.length; i++) {
+            slot = this._place(this.pages[i], w, h);
+            if (slot) {
+                slot.width = width;
+                slot.height = height;
+                return slot;
+            }
+        }
+
+        var page = this._addPage(Math.max(this.size, w), Math.max(this.size, h));
+        slot = this._place(page, w, h);
+        slot.width = width;
+        slot.height = height;
+        return slot;
+    },
+
+    /**
+     * Returns a slot to the atlas, so it can be handed out again. If it was
+     * the last slot in use on its page, the page is dropped.
+     *
+     * @method release
+     * @param  {Object} slot the slot to release
+     */
+    release: function(slot) {
+        var page = slot.page;
+        if (--page.used > 0) {
+            this.free.push(slot);
+            return;
+        }
+
+        this.pages.splice(this.pages.indexOf(page), 1);
+        this.free = this.free.filter(function(other) {
+            return other.page !== page;
+        });
+    },
+
+    /**
+     * Returns a slot for a rectangle of a new size, in place of `slot`: the 
+     * same slot if the rectangle fits in it, or a new one otherwise.
+     *
+     * @method resize
+     * @param  {Object} slot the slot to replace
+     * @param  {Number} width the new width of the rectangle
+     * @param  {Number} height the new height of the rectangle
+     * @return {Object} the slot
+     */
+    resize: function(slot, width, height) {
+        if (slot.maxWidth >= width && slot.maxHeight >= height) {
+            slot.width = width;
+            slot.height = height;
+            return slot;
+        }
+
+        //allocate first, so the old page isn't dropped and made again
+        var other = this.allocate(width, height);
+        this.release(slot);
+        return other;
+    },
+
+    /**
+     * Returns the bytes that allocating a rectangle of the given size would
+     * add to the atlas: 0 if it fits in a released slot or an existing page,
+     * or the size of the page it would need otherwise.
+     *
+     * @method cost
+     * @param  {Number} width the width of the rectangle
+     * @param  {Number} height the height of the rectangle
+     * @return {Number} the bytes added
+     */
+    cost: function(width, height) {
+        if (this._spare(width, height) !== -1)
+            return 0;
+
+        var w = width + Atlas.PADDING,
+            h = height + Atlas.PADDING;
+        for (var i=0; i<this.pages.length; i++) {
+            if (this._fits(this.pages[i], w, h))
+                return 0;
+        }
+        return Math.max(this.size, w) * Math.max(this.size, h) * 4;
+    },
+
+    /**
+     * Returns the bytes held by the pages, counting `width * height * 4` for
+     * each canvas.
+     *
+     * @method bytes
+     * @return {Number} the bytes held
+     */
+    bytes: function() {
+        var bytes = 0;
+        for (var i=0; i<this.pages.length; i++)
+            bytes += this.pages[i].width * this.pages[i].height * 4;
+        return bytes;
+    },
+
+    /**
+     * Drops every page and slot.
+     *
+     * @method clear
+     */
+    clear: function() {
+        this.pages.length = 0;
+        this.free.length = 0;
+    },
+
+    //Returns the index of the smallest released slot that fits, or -1
+    _spare: function(width, height) {
+        var best = -1;
+        for (var i=0; i<this.free.length; i++) {
+            var slot = this.free[i];
+            if (slot.maxWidth < width || slot.maxHeight < height)
+                continue;
+            if (best === -1 || slot.maxWidth * slot.maxHeight 
+                    < this.free[best].maxWidth * this.free[best].maxHeight)
+                best = i;
+        }
+        return best;
+    },
+
+    _addPage: function(width, height) {
+        var canvas = this.createCanvas(width, height);
+        var page = {
+            canvas: canvas,
+            context: canvas.getContext("2d"),
+            width: width,
+            height: height,
+
+            //the number of slots in use
+            used: 0,
+
+            //each shelf is a row with a height and the x of its free space
+            shelves: [],
+            bottom: 0
+        };
+        this.pages.push(page);
+        return page;
+    },
+
+    //Whether a padded w x h rectangle can be placed on a page
+    _fits: function(page, w, h) {
+        var shelves = page.shelves;
+        for (var i=0; i<shelves.length; i++) {
+            if (h <= shelves[i].height && shelves[i].x + w <= page.width)
+                return true;
+        }
+        return page.bottom + h <= page.height && w <= page.width;
+    },
+
+    _place: function(page, w, h) {
+        var shelves = page.shelves;
+        for (var i=0; i<shelves.length; i++) {
+            var shelf = shelves[i];
+            if (h <= shelf.height && shelf.x + w <= page.width) {
+                var slot = this._slot(page, shelf.x, shelf.y, w, shelf.height);
+                shelf.x += w;
+                return slot;
+            }
+        }
+
+        if (page.bottom + h > page.height || w > page.width)
+            return null;
+
+        shelves.push({ y: page.bottom, height: h, x: w });
+        page.bottom += h;
+        return this._slot(page, 0, page.bottom - h, w, h);
+    },
+
+    //A slot taking up a padded w x h space
+    _slot: function(page, x, y, w, h) {
+        page.used++;
+        return { 
+            page: page, 
+            x: x, y: y, 
+            width: 0, height: 0, 
+            maxWidth: w - Atlas.PADDING, 
+            maxHeight: h - Atlas.PADDING 
+        };
+    }
+});
+
+/**
+ * The default width and height of each page.
+ *
+ * @attribute {Number} DEFAULT_SIZE
+ * @static
+ */
+Atlas.DEFAULT_SIZE = 1024;
+
+/**
+ * The gap left between slots.
+ *
+ * @attribute {Number} PADDING
+ * @static
+ */
+Atlas.PADDING = 1;
+
+module.exports = Atlas;
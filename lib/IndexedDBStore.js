@@ -0,0 +1,171 @@
+var Class = require('klasse');
+
+var STORE = "snapshots";
+
+//Wraps an IDBRequest in a Promise
+function promisify(request) {
+    return new Promise(function(resolve, reject) {
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+        request.onerror = function() {
+            reject(request.error || new Error("IndexedDB request failed"));
+        };
+    });
+}
+
+/**
+ * Keeps TintCache snapshots in IndexedDB, so a cache can be restored on the
+ * next page load instead of being built again. Snapshots are keyed by the
+ * URL of the cache's source (or a key you give), and hold a hash of its 
+ * image data; a snapshot of an image which has since changed (or from an
+ * older version of TintCache) is deleted rather than loaded.
+ *
+ * Options:
+ *
+ * - `name` the name of the database (default "tintcache")
+ * - `indexedDB` the IDBFactory to use (default the global `indexedDB`)
+ *
+ * @class IndexedDBStore
+ * @constructor
+ * @param {Object} options the options (optional)
+ */
+var IndexedDBStore = new Class({
+
+    initialize: function(options) {
+        options = options || {};
+
+        this.name = options.name || IndexedDBStore.DEFAULT_NAME;
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== "undefined" ? indexedDB : null);
+        if (!this.indexedDB)
+            throw new Error("IndexedDB is not supported here");
+
+        //a promise for the open database
+        this._db = null;
+    },
+
+    /**
+     * Saves a snapshot of the cache, returning a Promise which resolves 
+     * when it is written. The options are passed to `TintCache.export()`;
+     * `pixels` defaults to "raw".
+     *
+     * @method save
+     * @param  {TintCache} cache the cache to save
+     * @param  {Object} options the export options, and an optional `key`
+     * @return {Promise} a promise which resolves when the snapshot is saved
+     */
+    save: function(cache, options) {
+        options = options || {};
+        var self = this,
+            key;
+        try {
+            key = this._key(cache, options.key);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        return cache.export({ pixels: options.pixels || "raw" }).then(function(data) {
+            return self._request("readwrite", function(store) {
+                return store.put(data, key);
+            });
+        });
+    },
+
+    /**
+     * Restores the saved snapshot of the cache, once its source is ready. The
+     * returned Promise resolves with true if a snapshot was restored, or with
+     * false if there was none or it was stale (in which case it is deleted).
+     * Other errors from `TintCache.import()` reject it, and keep the snapshot.
+     *
+     * @method load
+     * @param  {TintCache} cache the cache to restore
+     * @param  {String} key the key of the snapshot (optional)
+     * @return {Promise} a promise for whether the snapshot was restored
+     */
+    load: function(cache, key) {
+        var self = this;
+        try {
+            key = this._key(cache, key);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        return cache.whenReady().then(function() {
+            return self._request("readonly", function(store) {
+                return store.get(key);
+            });
+        }).then(function(data) {
+            if (!data)
+                return false;
+            return cache.import(data).then(function() {
+                return true;
+            }, function(e) {
+                if (!e.stale)
+                    throw e;
+                return self.remove(key).then(function() {
+                    return false;
+                });
+            });
+        });
+    },
+
+    /**
+     * Deletes the snapshot with the given key.
+     *
+     * @method remove
+     * @param  {String} key the key of the snapshot
+     * @return {Promise} a promise which resolves when it is deleted
+     */
+    remove: function(key) {
+        return this._request("readwrite", function(store) {
+            return store.delete(key);
+        });
+    },
+
+    /**
+     * Deletes every snapshot.
+     *
+     * @method clear
+     * @return {Promise} a promise which resolves when they are deleted
+     */
+    clear: function() {
+        return this._request("readwrite", function(store) {
+            return store.clear();
+        });
+    },
+
+    _key: function(cache, key) {
+        var source = cache.source;
+        key = key || source.currentSrc || source.src;
+        if (!key)
+            throw new Error("the TintCache source has no URL; a key must be given");
+        return key;
+    },
+
+    _open: function() {
+        if (!this._db) {
+            var request = this.indexedDB.open(this.name, 1);
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore(STORE);
+            };
+            this._db = promisify(request);
+        }
+        return this._db;
+    },
+
+    _request: function(mode, fn) {
+        return this._open().then(function(db) {
+            return promisify( fn(db.transaction(STORE, mode).objectStore(STORE)) );
+        });
+    }
+});
+
+/**
+ * The default name of the database.
+ *
+ * @attribute {String} DEFAULT_NAME
+ * @static
+ */
+IndexedDBStore.DEFAULT_NAME = "tintcache";
+
+module.exports = IndexedDBStore;
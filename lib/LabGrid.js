@@ -0,0 +1,175 @@
+var Class = require('klasse');
+
+//Cell coordinates are offset so they are always positive, and then
+//packed into a single integer key. Components never come close
+//to this range, so there are no collisions.
+var OFFSET = 512,
+    RANGE = 1024;
+
+function cellKey(x, y, z, w) {
+    return (((x + OFFSET) * RANGE + (y + OFFSET)) * RANGE + (z + OFFSET)) * RANGE + (w + OFFSET);
+}
+
+/**
+ * A uniform grid over Lab color space, used by TintCache to find the
+ * nearest cached tint within a given radius without walking every slot.
+ * Entries are keyed by their slot index in the cache.
+ *
+ * Colors are objects with `l, a, b` properties, and an optional `alpha`
+ * which is treated as a fourth dimension (defaulting to zero).
+ *
+ * @class LabGrid
+ * @constructor
+ * @param {Number} cellSize the size of each cell in Lab units
+ */
+var LabGrid = new Class({
+
+    initialize: function(cellSize) {
+        this.cellSize = cellSize || LabGrid.DEFAULT_CELL_SIZE;
+
+        //cell key -> array of slot indices
+        this.cells = {};
+
+        //slot index -> Lab color, and slot index -> cell key
+        this.labs = [];
+        this.keys = [];
+
+        /**
+         * The number of entries in this grid.
+         *
+         * @property {Number} count
+         * @readOnly
+         */
+        this.count = 0;
+
+        this._bestIndex = -1;
+        this._bestDiffSq = 0;
+    },
+
+    /**
+     * Adds the Lab color for the given slot index. If the index
+     * is already in the grid, it will be moved.
+     *
+     * @param  {Number} index the slot index
+     * @param  {Object} lab   the color with `l, a, b` and optional `alpha` properties
+     */
+    insert: function(index, lab) {
+        if (this.labs[index])
+            this.remove(index);
+
+        var size = this.cellSize;
+        var key = cellKey(Math.floor(lab.l / size),
+                          Math.floor(lab.a / size),
+                          Math.floor(lab.b / size),
+                          Math.floor((lab.alpha || 0) / size));
+
+        var cell = this.cells[key];
+        if (!cell)
+            cell = this.cells[key] = [];
+        cell.push(index);
+
+        this.labs[index] = lab;
+        this.keys[index] = key;
+        this.count++;
+    },
+
+    /**
+     * Removes the given slot index from the grid, if it exists.
+     *
+     * @param  {Number} index the slot index
+     */
+    remove: function(index) {
+        if (!this.labs[index])
+            return;
+
+        var key = this.keys[index],
+            cell = this.cells[key];
+        cell.splice(cell.indexOf(index), 1);
+        if (cell.length === 0)
+            delete this.cells[key];
+
+        this.labs[index] = null;
+        this.keys[index] = null;
+        this.count--;
+    },
+
+    /**
+     * Removes all entries from the grid.
+     */
+    clear: function() {
+        this.cells = {};
+        this.labs.length = 0;
+        this.keys.length = 0;
+        this.count = 0;
+    },
+
+    /**
+     * Returns the slot index of the nearest color to `lab` that is
+     * strictly within `radius`, or -1 if there is none. When two entries
+     * are equally near, the lower slot index wins.
+     *
+     * @param  {Object} lab    the color with `l, a, b` and optional `alpha` properties
+     * @param  {Number} radius the maximum distance in Lab units
+     * @return {Number}        the slot index, or -1
+     */
+    nearest: function(lab, radius) {
+        var size = this.cellSize,
+            alpha = lab.alpha || 0,
+            x0 = Math.floor((lab.l - radius) / size),
+            y0 = Math.floor((lab.a - radius) / size),
+            z0 = Math.floor((lab.b - radius) / size),
+            w0 = Math.floor((alpha - radius) / size),
+            x1 = Math.floor((lab.l + radius) / size),
+            y1 = Math.floor((lab.a + radius) / size),
+            z1 = Math.floor((lab.b + radius) / size),
+            w1 = Math.floor((alpha + radius) / size);
+
+        //we track the best match on the instance to avoid allocations
+        this._bestIndex = -1;
+        this._bestDiffSq = radius * radius;
+
+        //for a very large radius it's cheaper to just test every entry
+        var numCells = (x1-x0+1) * (y1-y0+1) * (z1-z0+1) * (w1-w0+1);
+        if (numCells > this.count) {
+            for (var i=0; i<this.labs.length; i++) {
+                if (this.labs[i])
+                    this._test(i, lab);
+            }
+            return this._bestIndex;
+        }
+
+        for (var x=x0; x<=x1; x++) {
+            for (var y=y0; y<=y1; y++) {
+                for (var z=z0; z<=z1; z++) {
+                    for (var w=w0; w<=w1; w++) {
+                        var cell = this.cells[ cellKey(x, y, z, w) ];
+                        if (!cell)
+                            continue;
+                        for (var j=0; j<cell.length; j++)
+                            this._test(cell[j], lab);
+                    }
+                }
+            }
+        }
+        return this._bestIndex;
+    },
+
+    _test: function(index, lab) {
+        var lab2 = this.labs[index];
+        var dx = lab2.l - lab.l,
+            dy = lab2.a - lab.a,
+            dz = lab2.b - lab.b,
+            dw = (lab2.alpha || 0) - (lab.alpha || 0);
+        var diffSq = dx*dx + dy*dy + dz*dz + dw*dw;
+
+        if (diffSq < this._bestDiffSq
+                || (diffSq === this._bestDiffSq && this._bestIndex !== -1 && index < this._bestIndex)) {
+            this._bestDiffSq = diffSq;
+            this._bestIndex = index;
+        }
+    }
+});
+
+LabGrid.DEFAULT_CELL_SIZE = 10;
+
+module.exports = LabGrid;
@@ -0,0 +1,153 @@
+var Class = require('klasse');
+
+/**
+ * A strip of tints precomputed by `TintCache.sequence()`, for animating the
+ * tint of a sprite over time; e.g. a hit flash or a pulse. The tints are
+ * pinned in the cache until `release()` is called, and `frameAt(t)` looks
+ * them up by time without any color math.
+ *
+ * If the cache throws the tints away (when it is cleared, or its source
+ * changes), they are made again the next time they are asked for.
+ *
+ * Tints shared with other sequences, or pinned with `cache()`, stay pinned
+ * when one sequence is released.
+ *
+ * @class Sequence
+ * @constructor
+ * @param {TintCache} cache the cache holding the tints
+ * @param {Object} frame the frame record to tint
+ * @param {Array} colors the `[r, g, b, a]` bytes of each step
+ */
+var Sequence = new Class({
+
+    initialize: function(cache, frame, colors) {
+        /**
+         * The cache holding the tints.
+         *
+         * @property {TintCache} cache
+         * @readOnly
+         */
+        this.cache = cache;
+
+        /**
+         * The `[r, g, b, a]` bytes of each step.
+         *
+         * @property {Array} colors
+         * @readOnly
+         */
+        this.colors = colors;
+
+        /**
+         * The number of steps.
+         *
+         * @property {Number} length
+         * @readOnly
+         */
+        this.length = colors.length;
+
+        /**
+         * Whether the tints are pinned; see `release()`.
+         *
+         * @property {Boolean} pinned
+         * @readOnly
+         */
+        this.pinned = true;
+
+        this.frame = frame;
+
+        //the slot index of each step, the tint we left there (which
+        //the palette may have snapped to another color) and its version,
+        //and whether we hold it in the cache
+        this.indices = [];
+        this.tints = [];
+        this.versions = [];
+        this.held = [];
+
+        //let go of the steps so far if the cache runs out of room
+        try {
+            for (var k=0; k<colors.length; k++)
+                this._cache(k);
+        } catch (e) {
+            this.release();
+            throw e;
+        }
+    },
+
+    /**
+     * Returns the tint for a time from 0 (the first step) to 1 (the last
+     * step), in the form returned by `tinted()`. Times are clamped, and
+     * rounded to the nearest step. This returns the source until it is ready.
+     *
+     * @method frameAt
+     * @param  {Number} t the normalized time
+     * @return {HTMLCanvasElement|Image} the tinted canvas or image
+     */
+    frameAt: function(t) {
+        var cache = this.cache,
+            last = this.length - 1;
+        if (!cache._prepare())
+            return cache._result(-1);
+
+        var k = t > 0 ? (t < 1 ? Math.round(t * last) : last) : 0,
+            i = this.indices[k];
+
+        //the cache may have thrown the tint away since; otherwise
+        //this is a hit like any other, for the stats and eviction
+        if (this._holds(k)) {
+            cache._stats.hits++;
+            cache._touch(i);
+        } else {
+            i = this._cache(k);
+        }
+        return cache._result(i);
+    },
+
+    /**
+     * Unpins the tints, so they may be evicted like any other. The sequence
+     * can still be used; its tints are then made again when needed.
+     *
+     * @method release
+     */
+    release: function() {
+        if (!this.pinned)
+            return;
+        this.pinned = false;
+
+        for (var k=0; k<this.length; k++) {
+            if (this.held[k] && this._holds(k))
+                this.cache._unhold(this.indices[k]);
+            this.held[k] = false;
+        }
+    },
+
+    //Whether the cache still holds the tint of a step where we left it
+    _holds: function(k) {
+        var cache = this.cache,
+            i = this.indices[k],
+            descriptor = i !== -1 ? cache.descriptors[i] : null;
+        return !!descriptor && cache.tints[i] === this.tints[k]
+                && descriptor.version === this.versions[k]
+                && descriptor.frame === this.frame && descriptor.group.key === "";
+    },
+
+    //Caches the tint of a step, returning its slot index
+    _cache: function(k) {
+        var cache = this.cache,
+            c = this.colors[k];
+
+        //a rect is forgotten once its tints are gone, so look it up again
+        this.frame = cache._frame(this.frame);
+
+        var i = cache._cached(this.frame, c[0], c[1], c[2], c[3]),
+            descriptor = i !== -1 ? cache.descriptors[i] : null;
+        this.indices[k] = i;
+        this.tints[k] = descriptor ? cache.tints[i] : null;
+        this.versions[k] = descriptor ? descriptor.version : -1;
+        this.held[k] = !!descriptor && this.pinned;
+        if (this.held[k])
+            cache._hold(i);
+        return i;
+    }
+});
+
+module.exports = Sequence;
@@ -0,0 +1,53 @@
+//Builds a blend from a per-channel function of the source and color bytes.
+//The result is mixed with the source by `amount` (0-1), and the source
+//alpha is scaled by the alpha byte.
+function blender(channel) {
+    return function(input, output, r, g, b, a, amount) {
+        var keep = 1 - amount;
+        for (var i=0; i<input.length; i+=4) {
+            var sr = input[i],
+                sg = input[i+1],
+                sb = input[i+2];
+            output[i]   = sr * keep + channel(sr, r) * amount;
+            output[i+1] = sg * keep + channel(sg, g) * amount;
+            output[i+2] = sb * keep + channel(sb, b) * amount;
+            output[i+3] = input[i+3] * a / 255;
+        }
+    };
+}
+
+/**
+ * Per-pixel blends used by `TintCache.blended()`. Each blend reads RGBA
+ * bytes from `input` and writes them to `output` (which must be the same
+ * length), given the color bytes `r, g, b, a` and an `amount` from 0 to 1.
+ *
+ * @class  Blend
+ * @static
+ */
+module.exports = {
+    MULTIPLY: blender(function(s, c) {
+        return s * c / 255;
+    }),
+
+    SCREEN: blender(function(s, c) {
+        return 255 - (255 - s) * (255 - c) / 255;
+    }),
+
+    ADD: blender(function(s, c) {
+        return Math.min(255, s + c);
+    }),
+
+    OVERLAY: blender(function(s, c) {
+        return s < 128
+                ? 2 * s * c / 255
+                : 255 - 2 * (255 - s) * (255 - c) / 255;
+    }),
+
+    //the color replaces the source entirely, keeping its alpha
+    SILHOUETTE: blender(function(s, c) {
+        return c;
+    })
+};
+
+//lerping toward the color by an amount is a partial silhouette
+module.exports.LERP = module.exports.SILHOUETTE;
@@ -0,0 +1,199 @@
+//Reads a color given as an [r, g, b, a] array or an {r, g, b, a} object;
+//alpha defaults to 255.
+function components(color) {
+    if (Array.isArray(color))
+        return [ color[0], color[1], color[2], color.length > 3 ? color[3] : 255 ];
+    return [ color.r, color.g, color.b, (color.a === 0 || color.a) ? color.a : 255 ];
+}
+
+/**
+ * Returns a ramp of `steps` colors from `from` to `to` (both included),
+ * interpolated linearly in RGBA. Colors can be `[r, g, b, a]` arrays or
+ * `{r, g, b, a}` objects; the result is a list of `[r, g, b, a]` arrays
+ * which can be passed to `TintCache.warm()`.
+ *
+ * @method gradient
+ * @param  {Array|Object} from the first color
+ * @param  {Array|Object} to the last color
+ * @param  {Number} steps the number of colors in the ramp
+ * @return {Array} the list of colors
+ */
+module.exports.gradient = function(from, to, steps) {
+    var a = components(from),
+        b = components(to),
+        out = [];
+
+    for (var i=0; i<steps; i++) {
+        var t = steps > 1 ? i / (steps - 1) : 0;
+        out.push([
+            Math.round(a[0] + (b[0] - a[0]) * t),
+            Math.round(a[1] + (b[1] - a[1]) * t),
+            Math.round(a[2] + (b[2] - a[2]) * t),
+            Math.round(a[3] + (b[3] - a[3]) * t)
+        ]);
+    }
+    return out;
+};
+
+/**
+ * Returns a list of `[r, g, b, a]` colors from a palette of 0xRRGGBB
+ * integers, or a mix of integers, arrays and `{r, g, b, a}` objects.
+ * If `steps` is given, each pair of neighbouring palette entries is joined
+ * with a gradient of that many colors, so the palette becomes a ramp.
+ *
+ * @method palette
+ * @param  {Array} colors the palette
+ * @param  {Number} steps the number of colors between each entry (optional)
+ * @return {Array} the list of colors
+ */
+module.exports.palette = function(colors, steps) {
+    var list = [];
+    for (var i=0; i<colors.length; i++) {
+        var c = colors[i];
+        if (typeof c === "number")
+            list.push([ (c >> 16) & 0xff, (c >> 8) & 0xff, c & 0xff, 255 ]);
+        else
+            list.push(components(c));
+    }
+
+    if (!steps || list.length < 2)
+        return list;
+
+    var out = [];
+    for (var j=0; j<list.length-1; j++) {
+        var ramp = module.exports.gradient(list[j], list[j+1], steps + 2);
+
+        //don't repeat the shared stop between two ramps
+        if (j > 0)
+            ramp.shift();
+        out.push.apply(out, ramp);
+    }
+    return out;
+};
+
+//Parsed colors by string or number, so repeated requests are cheap; 
+//this is emptied when it gets too big, in case colors are generated
+var parsedStrings = {},
+    parsedNumbers = {},
+    parsedCount = 0,
+    MAX_PARSED = 1024;
+
+var HEX = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i,
+    FUNC = /^(rgba?|hsla?)\(\s*([^\)]*)\)$/i,
+    COLOR_START = /^\s*(#|(rgb|hsl)a?\s*\()/i;
+
+//Reads a CSS number or percentage, where 100% is `max`
+function number(str, max) {
+    var n = parseFloat(str);
+    if (isNaN(n))
+        throw new Error("invalid color component '" + str + "'");
+    return str.charAt(str.length - 1) === "%" ? n / 100 * max : n;
+}
+
+//One channel of an HSL color, given the hue offset for the channel;
+//also used by the transforms in hsl.js
+function hue2rgb(p, q, t) {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1/6) return p + (q - p) * 6 * t;
+    if (t < 1/2) return q;
+    if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+    return p;
+}
+
+function parseString(str) {
+    str = str.trim();
+
+    var hex = HEX.exec(str);
+    if (hex) {
+        var h = hex[1];
+        //expand the short forms
+        if (h.length <= 4)
+            h = h.replace(/./g, "$&$&");
+        var n = parseInt(h.substring(0, 6), 16);
+        return [ (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff, 
+                h.length === 8 ? parseInt(h.substring(6), 16) : 255 ];
+    }
+
+    var func = FUNC.exec(str);
+    if (!func)
+        throw new Error("invalid color '" + str + "'");
+
+    //both "rgb(1, 2, 3, 0.5)" and "rgb(1 2 3 / 50%)"
+    var args = func[2].split(/\s*[,\/]\s*|\s+/),
+        alpha = args.length > 3 ? Math.round(number(args[3], 1) * 255) : 255;
+
+    if (args.length < 3)
+        throw new Error("invalid color '" + str + "'");
+
+    if (func[1].charAt(0).toLowerCase() === "r") {
+        return [ Math.round(number(args[0], 255)), Math.round(number(args[1], 255)), 
+                Math.round(number(args[2], 255)), alpha ];
+    }
+
+    var hue = (((parseFloat(args[0]) / 360) % 1) + 1) % 1,
+        s = number(args[1], 1),
+        l = number(args[2], 1),
+        q = l < 0.5 ? l * (1 + s) : l + s - l * s,
+        p = 2 * l - q;
+    return [ 
+        Math.round(hue2rgb(p, q, hue + 1/3) * 255), 
+        Math.round(hue2rgb(p, q, hue) * 255), 
+        Math.round(hue2rgb(p, q, hue - 1/3) * 255), 
+        alpha 
+    ];
+}
+
+/**
+ * Reads a color given in any of the forms accepted by `TintCache.tinted()`:
+ * a 0xRRGGBB integer, a CSS string (`"#f80"`, `"#ff8800"`, `"#ff880080"`, 
+ * `"rgb()"`, `"rgba()"`, `"hsl()"` or `"hsla()"`), an `[r, g, b, a]` array or 
+ * an `{r, g, b, a}` object. Numbers and strings are memoized, and so the 
+ * returned `[r, g, b, a]` array must not be modified.
+ *
+ * @method parse
+ * @param  {Number|String|Array|Object} color the color
+ * @return {Array} the color as `[r, g, b, a]`
+ */
+module.exports.parse = function(color) {
+    var type = typeof color;
+    if (type !== "number" && type !== "string") {
+        if (!color || type !== "object")
+            throw new Error("invalid color '" + color + "'");
+        return components(color);
+    }
+
+    var memo = type === "number" ? parsedNumbers : parsedStrings;
+    var out = memo[color];
+    if (out)
+        return out;
+
+    out = type === "number" 
+            ? [ (color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff, 255 ]
+            : parseString(color);
+
+    if (parsedCount >= MAX_PARSED) {
+        parsedStrings = {};
+        parsedNumbers = {};
+        parsedCount = 0;
+        memo = type === "number" ? parsedNumbers : parsedStrings;
+    }
+    memo[color] = out;
+    parsedCount++;
+    return out;
+};
+
+/**
+ * Returns true if the string starts like a CSS color that `parse()` 
+ * understands, valid or not; `parse()` then reports a malformed one.
+ *
+ * @method isColorLike
+ * @param  {String} str the string to test
+ * @return {Boolean} whether it looks like a color
+ */
+module.exports.isColorLike = function(str) {
+    return COLOR_START.test(str);
+};
+
+module.exports.components = components;
+module.exports.hue2rgb = hue2rgb;
@@ -0,0 +1,125 @@
+var rgb2lab = require('./rgb2lab');
+
+//alpha is compared in the same units as Lab lightness
+var ALPHA_SCALE = 100 / 255;
+
+var lab1 = {l:0, a:0, b:0},
+    lab2 = {l:0, a:0, b:0};
+
+var RAD = Math.PI / 180,
+    POW25_7 = Math.pow(25, 7);
+
+function hue(b, a) {
+    if (a === 0 && b === 0)
+        return 0;
+    var h = Math.atan2(b, a) / RAD;
+    return h < 0 ? h + 360 : h;
+}
+
+/**
+ * Color distance metrics for TintCache's fuzzy lookups and palette
+ * snapping. Each metric is a function of two colors given as bytes,
+ * `(r1, g1, b1, a1, r2, g2, b2, a2)`, which returns their distance;
+ * `fuzziness` is measured in the same units.
+ *
+ * Alpha is treated as a fourth dimension by each metric.
+ *
+ * @class  Distance
+ * @static
+ */
+
+/**
+ * The Euclidean distance between the RGBA bytes. Cheap, but not
+ * perceptual; a fuzziness of 8 is roughly a rounding of 8.
+ *
+ * @property {Function} RGB
+ */
+module.exports.RGB = function(r1, g1, b1, a1, r2, g2, b2, a2) {
+    var dr = r1 - r2,
+        dg = g1 - g2,
+        db = b1 - b2,
+        da = a1 - a2;
+    return Math.sqrt(dr*dr + dg*dg + db*db + da*da);
+};
+
+/**
+ * The Euclidean distance in CIE L*a*b* (CIE76), with alpha scaled to
+ * the range of lightness. This was the original behaviour of TintCache.
+ *
+ * @property {Function} LAB76
+ */
+module.exports.LAB76 = function(r1, g1, b1, a1, r2, g2, b2, a2) {
+    rgb2lab(r1, g1, b1, lab1);
+    rgb2lab(r2, g2, b2, lab2);
+    var dl = lab1.l - lab2.l,
+        da = lab1.a - lab2.a,
+        db = lab1.b - lab2.b,
+        dalpha = (a1 - a2) * ALPHA_SCALE;
+    return Math.sqrt(dl*dl + da*da + db*db + dalpha*dalpha);
+};
+
+/**
+ * The CIEDE2000 color difference, with alpha scaled to the range of
+ * lightness. The most perceptually uniform, and the slowest; the
+ * distance between the colors is compared by walking every cached tint.
+ *
+ * @property {Function} CIEDE2000
+ */
+module.exports.CIEDE2000 = function(r1, g1, b1, a1, r2, g2, b2, a2) {
+    rgb2lab(r1, g1, b1, lab1);
+    rgb2lab(r2, g2, b2, lab2);
+
+    var c1 = Math.sqrt(lab1.a*lab1.a + lab1.b*lab1.b),
+        c2 = Math.sqrt(lab2.a*lab2.a + lab2.b*lab2.b),
+        cMean7 = Math.pow((c1 + c2) / 2, 7),
+        g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + POW25_7)));
+
+    var ap1 = lab1.a * (1 + g),
+        ap2 = lab2.a * (1 + g),
+        cp1 = Math.sqrt(ap1*ap1 + lab1.b*lab1.b),
+        cp2 = Math.sqrt(ap2*ap2 + lab2.b*lab2.b),
+        hp1 = hue(lab1.b, ap1),
+        hp2 = hue(lab2.b, ap2);
+
+    var dL = lab2.l - lab1.l,
+        dC = cp2 - cp1,
+        dh = 0;
+    if (cp1 * cp2 !== 0) {
+        dh = hp2 - hp1;
+        if (dh > 180)
+            dh -= 360;
+        else if (dh < -180)
+            dh += 360;
+    }
+    var dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh / 2 * RAD);
+
+    var lMean = (lab1.l + lab2.l) / 2,
+        cpMean = (cp1 + cp2) / 2,
+        hMean = hp1 + hp2;
+    if (cp1 * cp2 !== 0) {
+        if (Math.abs(hp1 - hp2) > 180)
+            hMean += hMean < 360 ? 360 : -360;
+        hMean /= 2;
+    }
+
+    var t = 1 - 0.17 * Math.cos((hMean - 30) * RAD)
+              + 0.24 * Math.cos(2 * hMean * RAD)
+              + 0.32 * Math.cos((3 * hMean + 6) * RAD)
+              - 0.20 * Math.cos((4 * hMean - 63) * RAD);
+
+    var lm50 = (lMean - 50) * (lMean - 50),
+        sl = 1 + 0.015 * lm50 / Math.sqrt(20 + lm50),
+        sc = 1 + 0.045 * cpMean,
+        sh = 1 + 0.015 * cpMean * t;
+
+    var cpMean7 = Math.pow(cpMean, 7),
+        rc = 2 * Math.sqrt(cpMean7 / (cpMean7 + POW25_7)),
+        dTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2)),
+        rt = -Math.sin(2 * dTheta * RAD) * rc;
+
+    var l = dL / sl,
+        c = dC / sc,
+        h = dH / sh,
+        dalpha = (a1 - a2) * ALPHA_SCALE;
+    return Math.sqrt(l*l + c*c + h*h + rt * c * h + dalpha*dalpha);
+};
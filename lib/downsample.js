@@ -0,0 +1,56 @@
+/**
+ * Shrinks RGBA bytes with a box filter: each output pixel is the average
+ * of the input pixels it covers, weighted by how much of each it covers.
+ * Colors are weighted by alpha, so transparent pixels don't darken the
+ * edges of a sprite. The output must be no larger than the input. The
+ * pixels may also be in linear light, as a Uint16Array from `linear.decode()`.
+ *
+ * @method downsample
+ * @param  {Uint8ClampedArray} input the source pixels
+ * @param  {Number} inWidth the width of the source
+ * @param  {Number} inHeight the height of the source
+ * @param  {Uint8ClampedArray} output the destination pixels
+ * @param  {Number} outWidth the width of the destination
+ * @param  {Number} outHeight the height of the destination
+ */
+module.exports = function(input, inWidth, inHeight, output, outWidth, outHeight) {
+    var sx = inWidth / outWidth,
+        sy = inHeight / outHeight;
+
+    for (var y=0; y<outHeight; y++) {
+        var y0 = y * sy,
+            y1 = y0 + sy;
+
+        for (var x=0; x<outWidth; x++) {
+            var x0 = x * sx,
+                x1 = x0 + sx;
+            var r = 0, g = 0, b = 0, a = 0, area = 0;
+
+            for (var iy=Math.floor(y0); iy<y1 && iy<inHeight; iy++) {
+                var wy = Math.min(y1, iy + 1) - Math.max(y0, iy);
+
+                for (var ix=Math.floor(x0); ix<x1 && ix<inWidth; ix++) {
+                    var w = wy * (Math.min(x1, ix + 1) - Math.max(x0, ix)),
+                        i = (iy * inWidth + ix) * 4,
+                        wa = w * input[i+3];
+
+                    r += input[i]   * wa;
+                    g += input[i+1] * wa;
+                    b += input[i+2] * wa;
+                    a += wa;
+                    area += w;
+                }
+            }
+
+            var o = (y * outWidth + x) * 4;
+            if (a > 0) {
+                output[o]   = r / a;
+                output[o+1] = g / a;
+                output[o+2] = b / a;
+            } else {
+                output[o] = output[o+1] = output[o+2] = 0;
+            }
+            output[o+3] = area > 0 ? a / area : 0;
+        }
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Eviction policies for TintCache. Each policy is a comparator which
+ * receives two (unpinned) descriptors and returns a negative number if
+ * the first should be evicted before the second, a positive number if
+ * the second should be evicted first, or zero if it doesn't matter.
+ *
+ * Descriptors track the following, which policies can rely on:
+ *
+ * ```
+ *     created   - the clock tick when the tint was cached
+ *     lastUsed  - the clock tick when the tint was last requested
+ *     hits      - the number of times the tint has been requested
+ * ```
+ *
+ * @class  Eviction
+ * @static
+ */
+
+/**
+ * First in, first out. The oldest tint is evicted, regardless
+ * of how often it has been used. This was the original behaviour
+ * of TintCache.
+ *
+ * @property {Function} FIFO
+ */
+module.exports.FIFO = function(a, b) {
+    return a.created - b.created;
+};
+
+/**
+ * Least recently used. The tint which hasn't been requested for
+ * the longest time is evicted; so colors used every frame are kept.
+ *
+ * @property {Function} LRU
+ */
+module.exports.LRU = function(a, b) {
+    return a.lastUsed - b.lastUsed;
+};
+
+/**
+ * Least frequently used. The tint with the fewest hits is evicted,
+ * with ties going to the least recently used.
+ *
+ * @property {Function} LFU
+ */
+module.exports.LFU = function(a, b) {
+    return (a.hits - b.hits) || (a.lastUsed - b.lastUsed);
+};
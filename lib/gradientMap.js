@@ -0,0 +1,56 @@
+/**
+ * Builds the lookup table for a gradient map: 256 RGBA entries, one for
+ * each luminance byte, interpolated between the stops. Stops are objects
+ * with `offset` (a byte, 0-255) and `r, g, b, a` bytes, sorted by offset.
+ *
+ * @method lookup
+ * @param  {Array} stops the color stops
+ * @return {Uint8ClampedArray} the table
+ */
+function lookup(stops) {
+    var table = new Uint8ClampedArray(256 * 4),
+        last = stops.length - 1,
+        j = 0;
+
+    for (var i=0; i<256; i++) {
+        //find the stops either side of this luminance
+        while (j < last && stops[j + 1].offset < i)
+            j++;
+
+        var from = stops[j],
+            to = stops[Math.min(j + 1, last)],
+            span = to.offset - from.offset,
+            t = span > 0 ? Math.max(0, Math.min(1, (i - from.offset) / span)) : (i > from.offset ? 1 : 0);
+
+        table[i*4]   = from.r + (to.r - from.r) * t;
+        table[i*4+1] = from.g + (to.g - from.g) * t;
+        table[i*4+2] = from.b + (to.b - from.b) * t;
+        table[i*4+3] = from.a + (to.a - from.a) * t;
+    }
+    return table;
+}
+
+/**
+ * Maps the luminance of every pixel through a table from `lookup()`.
+ * Reads RGBA bytes from `input` and writes them to `output`; the alpha
+ * of each pixel is scaled by the table's alpha and by the alpha byte `a`.
+ *
+ * @method apply
+ * @param  {Uint8ClampedArray} input the source pixels
+ * @param  {Uint8ClampedArray} output the destination pixels
+ * @param  {Uint8ClampedArray} table the lookup table
+ * @param  {Number} a the alpha byte, 0-255
+ */
+function apply(input, output, table, a) {
+    for (var i=0; i<input.length; i+=4) {
+        //Rec. 709 luma
+        var y = Math.round(0.2126 * input[i] + 0.7152 * input[i+1] + 0.0722 * input[i+2]) * 4;
+        output[i]   = table[y];
+        output[i+1] = table[y+1];
+        output[i+2] = table[y+2];
+        output[i+3] = input[i+3] * (table[y+3] / 255) * (a / 255);
+    }
+}
+
+module.exports.lookup = lookup;
+module.exports.apply = apply;
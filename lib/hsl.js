@@ -0,0 +1,68 @@
+var hue2rgb = require('./colors').hue2rgb;
+
+/**
+ * Shifts the hue, saturation and lightness of every pixel. Reads RGBA bytes
+ * from `input` and writes them to `output` (which must be the same length).
+ * The hue is rotated by `hue` degrees, and the saturation and lightness are
+ * scaled by the given factors (1 leaves them as-is). The alpha of each pixel
+ * is scaled by the alpha byte `a`.
+ *
+ * @method hsl
+ * @param  {Uint8ClampedArray} input the source pixels
+ * @param  {Uint8ClampedArray} output the destination pixels
+ * @param  {Number} hue the hue rotation in degrees
+ * @param  {Number} saturation the saturation factor
+ * @param  {Number} lightness the lightness factor
+ * @param  {Number} a the alpha byte, 0-255
+ */
+module.exports = function(input, output, hue, saturation, lightness, a) {
+    var shift = hue / 360;
+
+    for (var i=0; i<input.length; i+=4) {
+        var r = input[i] / 255,
+            g = input[i+1] / 255,
+            b = input[i+2] / 255;
+
+        //RGB -> HSL
+        var max = Math.max(r, g, b),
+            min = Math.min(r, g, b),
+            l = (max + min) / 2,
+            h = 0,
+            s = 0;
+
+        if (max !== min) {
+            var d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            if (max === r)
+                h = (g - b) / d + (g < b ? 6 : 0);
+            else if (max === g)
+                h = (b - r) / d + 2;
+            else
+                h = (r - g) / d + 4;
+            h /= 6;
+        }
+
+        //apply the transform
+        h = (h + shift) % 1;
+        if (h < 0)
+            h += 1;
+        s = Math.min(1, s * saturation);
+        l = Math.min(1, l * lightness);
+
+        //HSL -> RGB
+        if (s === 0) {
+            r = g = b = l;
+        } else {
+            var q = l < 0.5 ? l * (1 + s) : l + s - l * s,
+                p = 2 * l - q;
+            r = hue2rgb(p, q, h + 1/3);
+            g = hue2rgb(p, q, h);
+            b = hue2rgb(p, q, h - 1/3);
+        }
+
+        output[i]   = r * 255;
+        output[i+1] = g * 255;
+        output[i+2] = b * 255;
+        output[i+3] = input[i+3] * a / 255;
+    }
+};
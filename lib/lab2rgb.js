@@ -0,0 +1,36 @@
+//linear light -> sRGB bytes
+function gamma(c) {
+    c = c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
+    return Math.max(0, Math.min(255, Math.round(c * 255)));
+}
+
+function finv(t) {
+    return t > 0.206893 ? t * t * t : (t - 16 / 116) / 7.787;
+}
+
+/**
+ * Converts a CIE L*a*b* color (D65 white point) back to sRGB bytes, the
+ * inverse of `rgb2lab`. Colors outside of sRGB are clamped. You can
+ * specify an array to reduce allocations.
+ *
+ * @method lab2rgb
+ * @param  {Number} l the lightness
+ * @param  {Number} a the a* component
+ * @param  {Number} b the b* component
+ * @param  {Array} out the array to store the result in (optional)
+ * @return {Array} the color as `[r, g, b]` bytes
+ */
+module.exports = function lab2rgb(l, a, b, out) {
+    out = out || [ 0, 0, 0 ];
+
+    var fy = (l + 16) / 116,
+        x = finv(fy + a / 500) * 0.95047,
+        y = finv(fy),
+        z = finv(fy - b / 200) * 1.08883;
+
+    //XYZ to linear sRGB
+    out[0] = gamma( 3.2406 * x - 1.5372 * y - 0.4986 * z);
+    out[1] = gamma(-0.9689 * x + 1.8758 * y + 0.0415 * z);
+    out[2] = gamma( 0.0557 * x - 0.2040 * y + 1.0570 * z);
+    return out;
+};
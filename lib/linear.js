@@ -0,0 +1,94 @@
+//Lookup tables between sRGB bytes and 16-bit linear light,
+//built the first time they are needed
+var DECODE = null,
+    ENCODE = null;
+
+var MAX = 65535;
+
+function tables() {
+    if (DECODE)
+        return;
+
+    DECODE = new Uint16Array(256);
+    for (var i=0; i<256; i++) {
+        var c = i / 255;
+        c = c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+        DECODE[i] = Math.round(c * MAX);
+    }
+
+    ENCODE = new Uint8Array(MAX + 1);
+    for (var j=0; j<=MAX; j++) {
+        var v = j / MAX;
+        v = v > 0.0031308 ? 1.055 * Math.pow(v, 1 / 2.4) - 0.055 : 12.92 * v;
+        ENCODE[j] = Math.round(v * 255);
+    }
+}
+
+/**
+ * Converts RGBA bytes to linear light, returning a Uint16Array where
+ * the color channels are 0-65535 and alpha is left as a byte.
+ *
+ * @method decode
+ * @param  {Uint8ClampedArray} input the sRGB pixels
+ * @return {Uint16Array} the linear pixels
+ */
+function decode(input) {
+    tables();
+    var output = new Uint16Array(input.length);
+    for (var i=0; i<input.length; i+=4) {
+        output[i]   = DECODE[input[i]];
+        output[i+1] = DECODE[input[i+1]];
+        output[i+2] = DECODE[input[i+2]];
+        output[i+3] = input[i+3];
+    }
+    return output;
+}
+
+/**
+ * Converts pixels from `decode()` back to sRGB bytes.
+ *
+ * @method encode
+ * @param  {Uint16Array} input the linear pixels
+ * @param  {Uint8ClampedArray} output the sRGB pixels
+ */
+function encode(input, output) {
+    tables();
+    for (var i=0; i<input.length; i+=4) {
+        output[i]   = ENCODE[input[i]];
+        output[i+1] = ENCODE[input[i+1]];
+        output[i+2] = ENCODE[input[i+2]];
+        output[i+3] = input[i+3];
+    }
+}
+
+/**
+ * Multiplies linear pixels from `decode()` by the sRGB color bytes
+ * `r, g, b` in linear light, and writes the result as sRGB bytes.
+ * The alpha of each pixel is scaled by the alpha byte `a`.
+ *
+ * @method multiply
+ * @param  {Uint16Array} input the linear pixels
+ * @param  {Uint8ClampedArray} output the sRGB pixels
+ * @param  {Number} r the red byte, 0-255
+ * @param  {Number} g the green byte, 0-255
+ * @param  {Number} b the blue byte, 0-255
+ * @param  {Number} a the alpha byte, 0-255
+ */
+function multiply(input, output, r, g, b, a) {
+    tables();
+    var lr = DECODE[r] / MAX,
+        lg = DECODE[g] / MAX,
+        lb = DECODE[b] / MAX,
+        la = a / 255;
+
+    for (var i=0; i<input.length; i+=4) {
+        output[i]   = ENCODE[(input[i]   * lr + 0.5) | 0];
+        output[i+1] = ENCODE[(input[i+1] * lg + 0.5) | 0];
+        output[i+2] = ENCODE[(input[i+2] * lb + 0.5) | 0];
+        output[i+3] = input[i+3] * la;
+    }
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
+module.exports.multiply = multiply;
@@ -0,0 +1,38 @@
+//sRGB bytes -> linear light
+function linear(c) {
+    c /= 255;
+    return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+}
+
+function f(t) {
+    return t > 0.008856 ? Math.pow(t, 1/3) : (7.787 * t + 16 / 116);
+}
+
+/**
+ * Converts an sRGB color to CIE L*a*b* (D65 white point). You can
+ * specify an object with `l, a, b` properties to reduce allocations.
+ *
+ * @method rgb2lab
+ * @param  {Number} r the red byte, 0-255
+ * @param  {Number} g the green byte, 0-255
+ * @param  {Number} b the blue byte, 0-255
+ * @param  {Object} out the object to store the result in (optional)
+ * @return {Object} the color with `l, a, b` properties
+ */
+module.exports = function rgb2lab(r, g, b, out) {
+    out = out || {l:0, a:0, b:0};
+
+    r = linear(r);
+    g = linear(g);
+    b = linear(b);
+
+    //to XYZ, normalized to the D65 white point
+    var x = f((r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047),
+        y = f( r * 0.2126 + g * 0.7152 + b * 0.0722),
+        z = f((r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883);
+
+    out.l = 116 * y - 16;
+    out.a = 500 * (x - y);
+    out.b = 200 * (y - z);
+    return out;
+};
@@ -0,0 +1,47 @@
+//This script runs inside a Web Worker for TintCache.tintedAsync(), and so it
+//can't require anything. Load it with `new Worker("path/to/lib/worker.js")`.
+
+/**
+ * Multiplies RGBA bytes in place by the color bytes `r, g, b, a`,
+ * flooring the results like `ImageBuffer.multiply`.
+ *
+ * @method multiply
+ * @param  {Uint8ClampedArray} pixels the pixels to tint
+ * @param  {Number} r the red byte, 0-255
+ * @param  {Number} g the green byte, 0-255
+ * @param  {Number} b the blue byte, 0-255
+ * @param  {Number} a the alpha byte, 0-255
+ */
+function multiply(pixels, r, g, b, a) {
+    for (var i=0; i<pixels.length; i+=4) {
+        pixels[i]   = (pixels[i]   * r / 255) | 0;
+        pixels[i+1] = (pixels[i+1] * g / 255) | 0;
+        pixels[i+2] = (pixels[i+2] * b / 255) | 0;
+        pixels[i+3] = (pixels[i+3] * a / 255) | 0;
+    }
+}
+
+/**
+ * Handles a request from a TintCache: `{ id, pixels, r, g, b, a }`, where
+ * `pixels` is an ArrayBuffer of RGBA bytes. The pixels are tinted in place
+ * and the message is sent back with `post`, transferring the buffer.
+ *
+ * @method handle
+ * @param  {Object} data the request
+ * @param  {Function} post the function which sends the reply
+ */
+function handle(data, post) {
+    multiply(new Uint8ClampedArray(data.pixels), data.r, data.g, data.b, data.a);
+    post(data, [ data.pixels ]);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports.multiply = multiply;
+    module.exports.handle = handle;
+} else if (typeof self !== "undefined" && typeof self.postMessage === "function") {
+    self.onmessage = function(e) {
+        handle(e.data, function(data, transfer) {
+            self.postMessage(data, transfer);
+        });
+    };
+}
@@ -0,0 +1,152 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+var Atlas = require('../lib/Atlas');
+
+function create(options) {
+    return createCache(support.fromPixels(2, 1, [
+        255, 255, 255, 255, 
+        255, 128,   0, 255
+    ]), options);
+}
+
+//the pixels of a region of a canvas
+function region(r) {
+    var out = support.createCanvas(r.sw, r.sh);
+    out.getContext("2d").drawImage(r.canvas, r.sx, r.sy, r.sw, r.sh, 0, 0, r.sw, r.sh);
+    return support.pixels(out);
+}
+
+test('packs rectangles onto shelves and reuses released slots', function(t) {
+    var atlas = new Atlas(support.createCanvas, 8);
+
+    var a = atlas.allocate(3, 2),
+        b = atlas.allocate(3, 2),
+        c = atlas.allocate(3, 2);
+    t.deepEqual([ a.x, a.y, b.x, b.y, c.x, c.y ], [ 0, 0, 4, 0, 0, 3 ], 'padded by a pixel');
+    t.equal(atlas.pages.length, 1);
+
+    atlas.release(b);
+    t.equal(atlas.allocate(3, 2), b);
+
+    var big = atlas.allocate(20, 4);
+    t.equal(atlas.pages.length, 2, 'a page of its own');
+    t.equal(big.page.width, 21);
+    t.end();
+});
+
+test('released slots are reused by anything that fits', function(t) {
+    var atlas = new Atlas(support.createCanvas, 8);
+
+    var a = atlas.allocate(3, 2),
+        b = atlas.allocate(1, 1);
+    atlas.allocate(1, 1);
+    atlas.release(a);
+    atlas.release(b);
+    t.equal(atlas.cost(2, 2), 0, 'fits in a released slot');
+
+    var c = atlas.allocate(1, 1);
+    t.equal(c, b, 'the smallest slot that fits');
+    t.equal(atlas.allocate(2, 2), a);
+    t.deepEqual([ a.width, a.height, a.maxWidth, a.maxHeight ], [ 2, 2, 3, 2 ]);
+    t.equal(atlas.bytes(), 8 * 8 * 4);
+    t.equal(atlas.cost(20, 1), 21 * 8 * 4, 'the size of the page it needs');
+    t.end();
+});
+
+test('empty pages are dropped', function(t) {
+    var atlas = new Atlas(support.createCanvas, 8);
+
+    var a = atlas.allocate(3, 2),
+        b = atlas.allocate(20, 4);
+    t.equal(atlas.pages.length, 2);
+    atlas.release(b);
+    t.deepEqual(atlas.pages, [ a.page ], 'the page of its own goes');
+    t.equal(atlas.bytes(), 8 * 8 * 4);
+
+    t.equal(atlas.resize(a, 2, 2), a, 'a smaller rectangle keeps its slot');
+    var c = atlas.resize(a, 4, 4);
+    t.notEqual(c, a);
+    t.equal(c.page, a.page, 'the page is kept');
+    atlas.release(c);
+    t.equal(atlas.pages.length, 0);
+    t.equal(atlas.free.length, 0, 'along with its released slots');
+    t.end();
+});
+
+test('atlas pages are counted in bytes', function(t) {
+    var cache = create({ atlas: { size: 16 }, size: 10 });
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 0, 255);
+    t.equal(cache.stats().bytes, 16 * 16 * 4 + 2 * (2 * 1 * 4), 'one page and the ImageData of each tint');
+
+    var fast = create({ atlas: { size: 16 }, mode: TintCache.Mode.FASTEST });
+    fast.tinted(255, 0, 0);
+    t.equal(fast.stats().bytes, 16 * 16 * 4);
+    t.end();
+});
+
+test('tints share the atlas canvases', function(t) {
+    var cache = create({ atlas: { size: 16 }, size: 10 });
+
+    var red = cache.tinted(255, 0, 0),
+        blue = cache.tinted(0, 0, 255);
+    t.equal(red.canvas, blue.canvas);
+    t.equal(red.canvas.width, 16);
+    t.deepEqual([ red.sw, red.sh ], [ 2, 1 ]);
+    t.notDeepEqual([ red.sx, red.sy ], [ blue.sx, blue.sy ]);
+    t.deepEqual(region(red), [ 255, 0, 0, 255, 255, 0, 0, 255 ]);
+    t.deepEqual(region(blue), [ 0, 0, 255, 255, 0, 0, 0, 255 ]);
+    t.equal(cache.tinted(255, 0, 0), red, 'the region is cached');
+    t.end();
+});
+
+test('composited tints leave their neighbours alone', function(t) {
+    var cache = create({ atlas: true, mode: TintCache.Mode.FASTEST, size: 10 });
+
+    var red = cache.tinted(255, 0, 0),
+        blue = cache.tinted(0, 0, 255, 128);
+    t.deepEqual(region(red), [ 255, 0, 0, 255, 255, 0, 0, 255 ]);
+    t.deepEqual(region(blue), [ 0, 0, 255, 128, 0, 0, 0, 128 ]);
+    t.end();
+});
+
+test('evicted slots are reused', function(t) {
+    var cache = create({ atlas: true, size: 1 });
+
+    var red = cache.tinted(255, 0, 0),
+        sx = red.sx, sy = red.sy;
+    var green = cache.tinted(0, 255, 0);
+    t.deepEqual([ green.sx, green.sy ], [ sx, sy ]);
+    t.deepEqual(region(green), [ 0, 255, 0, 255, 0, 128, 0, 255 ]);
+
+    cache.addFrame("orange", 1, 0, 1, 1);
+    var orange = cache.tinted("orange", 255, 255, 255);
+    t.deepEqual([ orange.sw, orange.sh ], [ 1, 1 ], 'a new slot for a new size');
+    t.deepEqual(region(orange), [ 255, 128, 0, 255 ]);
+    t.end();
+});
+
+test('drawTinted() draws the region', function(t) {
+    var target = support.createCanvas(3, 1);
+    var cache = create({ atlas: true });
+    cache.addFrame("orange", 1, 0, 1, 1);
+
+    cache.drawTinted(target.getContext("2d"), 0, 255, 255, 0, 0);
+    cache.drawTinted(target.getContext("2d"), "orange", 255, 0, 255, 2, 0);
+    t.deepEqual(support.pixels(target), [ 0, 255, 255, 255, 0, 128, 0, 255, 255, 0, 0, 255 ]);
+
+    var plain = create();
+    var other = support.createCanvas(2, 1);
+    plain.drawTinted(other.getContext("2d"), 255, 0, 0, 0, 0);
+    t.deepEqual(support.pixels(other), [ 255, 0, 0, 255, 255, 0, 0, 255 ], 'without an atlas');
+    t.end();
+});
+
+test('the atlas needs canvas storage', function(t) {
+    t.throws(function() {
+        create({ atlas: true, storage: TintCache.Storage.IMAGE_BITMAP });
+    });
+    t.end();
+});
@@ -0,0 +1,85 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//an opaque orange and a semi-transparent gray pixel
+var SOURCE = [
+    255, 128,   0, 255,
+    128, 128, 128, 128
+];
+
+function create(options) {
+    return createCache(support.fromPixels(2, 1, SOURCE), options);
+}
+
+//the reference blend for each pixel, mixed with the source by amount
+function reference(channel, r, g, b, amount, a) {
+    var out = [], color = [ r, g, b ];
+    for (var i=0; i<SOURCE.length; i+=4) {
+        for (var k=0; k<3; k++)
+            out.push(Math.floor(SOURCE[i+k] * (1 - amount) + channel(SOURCE[i+k], color[k]) * amount));
+        out.push(Math.floor(SOURCE[i+3] * a / 255));
+    }
+    return out;
+}
+
+test('blends every pixel with the color', function(t) {
+    var cache = create();
+
+    t.deepEqual(support.pixels(cache.blended(TintCache.Blend.SCREEN, 0, 0, 255)), reference(function(s, c) {
+        return 255 - (255 - s) * (255 - c) / 255;
+    }, 0, 0, 255, 1, 255), 'screen');
+    t.deepEqual(support.pixels(cache.blended(TintCache.Blend.ADD, 100, 100, 100)), reference(function(s, c) {
+        return Math.min(255, s + c);
+    }, 100, 100, 100, 1, 255), 'add');
+    t.deepEqual(support.pixels(cache.blended(TintCache.Blend.SILHOUETTE, 10, 20, 30, 1, 128)),
+            reference(function(s, c) { return c; }, 10, 20, 30, 1, 128), 'silhouette keeps the alpha');
+    t.deepEqual(support.pixels(cache.blended(TintCache.Blend.LERP, 255, 255, 255, 0)), SOURCE, 'a zero amount leaves the image as-is');
+    t.end();
+});
+
+test('the blend and amount are part of the key', function(t) {
+    var cache = create({ size: 10 });
+
+    var tint = cache.tinted(255, 0, 0),
+        multiply = cache.blended(TintCache.Blend.MULTIPLY, 255, 0, 0),
+        half = cache.blended(TintCache.Blend.MULTIPLY, 255, 0, 0, 0.5),
+        lerp = cache.blended(TintCache.Blend.LERP, 255, 0, 0, 0.5);
+
+    t.notEqual(tint, multiply);
+    t.notEqual(multiply, half);
+    t.notEqual(half, lerp);
+    t.equal(cache.blended(TintCache.Blend.MULTIPLY, 255, 0, 0, 0.5), half, 'cached');
+    t.equal(cache.tinted(255, 0, 0), tint);
+    t.equal(cache.tintsProcessed, 4);
+    t.deepEqual(support.pixels(multiply), support.pixels(tint), 'a full multiply matches the plain tint');
+    t.end();
+});
+
+test('LERP shares the tints of SILHOUETTE', function(t) {
+    var cache = create({ size: 10 });
+
+    var lerp = cache.blended(TintCache.Blend.LERP, 255, 0, 0, 0.5);
+    t.equal(cache.blended(TintCache.Blend.SILHOUETTE, 255, 0, 0, 0.5), lerp);
+    t.notEqual(cache.blended(TintCache.Blend.SILHOUETTE, 255, 0, 0), lerp, 'but not of other amounts');
+    t.equal(cache.tintsProcessed, 2);
+    t.end();
+});
+
+test('blends work in every mode and on frames', function(t) {
+    var cache = create({ mode: TintCache.Mode.FASTEST });
+    cache.addFrame("gray", 1, 0, 1, 1);
+
+    t.deepEqual(support.pixels(cache.blended("gray", TintCache.Blend.LERP, 0, 0, 0, 0.5)), [ 64, 64, 64, 128 ]);
+    t.deepEqual(support.pixels(cache.blended(TintCache.Blend.SILHOUETTE, 1, 2, 3)), [ 1, 2, 3, 255, 1, 2, 3, 128 ]);
+    t.end();
+});
+
+test('throws on an unknown blend', function(t) {
+    var cache = create();
+    t.throws(function() {
+        cache.blended("DODGE", 255, 0, 0);
+    });
+    t.end();
+});
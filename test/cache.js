@@ -0,0 +1,279 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+function image() {
+    return support.fromPixels(2, 1, [
+        255, 255, 255, 255,
+        128,  64,   0, 128
+    ]);
+}
+
+function create(options) {
+    return createCache(image(), options);
+}
+
+test('requires a source', function(t) {
+    t.throws(function() {
+        new TintCache(null);
+    });
+    t.end();
+});
+
+test('counts hits and misses', function(t) {
+    var cache = create();
+
+    var first = cache.tinted(255, 0, 0);
+    t.equal(cache.tintsProcessed, 1, 'first request is a miss');
+
+    var second = cache.tinted(255, 0, 0);
+    t.equal(cache.tintsProcessed, 1, 'same color is a hit');
+    t.equal(first, second, 'hit returns the same canvas');
+
+    cache.tinted(0, 255, 0);
+    t.equal(cache.tintsProcessed, 2, 'new color is a miss');
+    t.end();
+});
+
+test('returns the source while it has no size', function(t) {
+    var src = support.fromPixels(0, 0, []);
+    var cache = createCache(src);
+    t.equal(cache.tinted(255, 0, 0), src);
+    t.equal(cache.tintsProcessed, 0);
+    t.end();
+});
+
+test('rounds colors to the nearest step', function(t) {
+    var cache = create({ rounding: 8 });
+
+    cache.tinted(1, 2, 3);
+    cache.tinted(3, 2, 1);
+    t.equal(cache.tintsProcessed, 1, 'both round to black');
+    t.equal(cache.tints[0], 0x000000);
+
+    cache.tinted(5, 0, 0);
+    t.equal(cache.tintsProcessed, 2, '5 rounds up to 8');
+    t.equal(cache.tints[1], 0x080000);
+
+    cache.tinted(300, -20, 0);
+    t.equal(cache.tints[2], 0xff0000, 'components are clamped');
+    t.end();
+});
+
+test('fuzziness matches nearby colors in Lab space', function(t) {
+    var cache = create({ fuzziness: 5 });
+
+    var gray = cache.tinted(100, 100, 100);
+    t.equal(cache.tinted(101, 100, 100), gray, 'a close color is a hit');
+    t.equal(cache.tintsProcessed, 1);
+
+    t.notEqual(cache.tinted(200, 0, 0), gray, 'a far color is a miss');
+    t.equal(cache.tintsProcessed, 2);
+
+    cache.fuzziness = 0;
+    cache.tinted(101, 100, 100);
+    t.equal(cache.tintsProcessed, 3, 'no fuzziness needs an exact match');
+
+    t.equal(cache.indexOf(100, 100, 100), 0);
+    t.equal(cache.indexOf(50, 50, 50), -1);
+    t.end();
+});
+
+test('cache() ignores rounding and fuzziness', function(t) {
+    var cache = create({ rounding: 16, fuzziness: 50 });
+    cache.cache(100, 100, 100);
+    cache.cache(101, 100, 100);
+    t.equal(cache.tintsProcessed, 2);
+    t.equal(cache.rounding, 16, 'rounding is restored');
+    t.equal(cache.fuzziness, 50, 'fuzziness is restored');
+    t.end();
+});
+
+test('remove() keeps the descriptor for re-use', function(t) {
+    var cache = create();
+    var canvas = cache.tinted(255, 0, 0);
+
+    t.equal(cache.remove(0, 255, 0), null, 'unknown color');
+    t.equal(cache.remove(255, 0, 0), canvas, 'returns the old canvas');
+    t.equal(cache.indexOf(255, 0, 0), -1);
+    t.equal(cache.tints[0], TintCache.NONE);
+    t.ok(cache.descriptors[0], 'descriptor is kept');
+
+    t.equal(cache.tinted(0, 0, 255), canvas, 'canvas is re-used');
+    t.end();
+});
+
+test('reset() empties tints but keeps descriptors', function(t) {
+    var cache = create();
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 255, 0);
+    cache.reset();
+
+    t.deepEqual(cache.tints, [ TintCache.NONE, TintCache.NONE, TintCache.NONE, TintCache.NONE, TintCache.NONE ]);
+    t.ok(cache.descriptors[0] && cache.descriptors[1]);
+    t.equal(cache.indexOf(255, 0, 0), -1);
+    t.end();
+});
+
+test('clear() releases descriptors', function(t) {
+    var cache = create();
+    var canvas = cache.tinted(255, 0, 0);
+    cache.clear();
+
+    t.equal(cache.tints[0], TintCache.NONE);
+    t.equal(cache.descriptors[0], null);
+    t.notEqual(cache.tinted(255, 0, 0), canvas, 'a new canvas is created');
+    t.end();
+});
+
+test('destroy() releases everything', function(t) {
+    var cache = create();
+    cache.tinted(255, 0, 0);
+    cache.destroy();
+
+    t.equal(cache.descriptors[0], null);
+    t.equal(cache.canvas, null);
+    t.equal(cache.context, null);
+    t.equal(cache.buffer, null);
+    t.equal(cache.dirty, true);
+    t.end();
+});
+
+test('dirty re-reads the source', function(t) {
+    var cache = create();
+    cache.tinted(255, 255, 255);
+    cache.source.getContext("2d").clearRect(0, 0, 2, 1);
+    cache.dirty = true;
+
+    var canvas = cache.tinted(255, 255, 255);
+    t.equal(cache.tintsProcessed, 2, 'the tint is recomputed');
+    t.deepEqual(support.pixels(canvas), [ 0, 0, 0, 0, 0, 0, 0, 0 ]);
+    t.end();
+});
+
+test('size setter', function(t) {
+    var cache = create({ size: 2 });
+    t.equal(cache.size, 2);
+    t.equal(cache.tints.length, 2);
+
+    cache.tinted(255, 0, 0);
+    cache.size = 3;
+    t.equal(cache.tints.length, 3);
+    t.equal(cache.descriptors.length, 3);
+    t.equal(cache.indexOf(255, 0, 0), -1, 'the cache is cleared');
+
+    t.throws(function() {
+        cache.size = 0;
+    });
+    t.end();
+});
+
+test('mode setter', function(t) {
+    var cache = create();
+    t.equal(cache.mode, TintCache.Mode.BEST);
+    t.ok(cache.canvas && cache.context, 'BEST mode has a canvas to read pixels');
+
+    cache.tinted(255, 0, 0);
+    cache.mode = TintCache.Mode.FASTEST;
+    t.equal(cache.canvas, null);
+    t.equal(cache.context, null);
+    t.equal(cache.indexOf(255, 0, 0), -1, 'the cache is cleared');
+
+    t.throws(function() {
+        cache.mode = "foo";
+    });
+    t.end();
+});
+
+test('evicts according to the policy', function(t) {
+    var fifo = create({ size: 2, eviction: "FIFO" });
+    fifo.tinted(1, 0, 0);
+    fifo.tinted(2, 0, 0);
+    fifo.tinted(1, 0, 0);
+    fifo.tinted(3, 0, 0);
+    t.equal(fifo.indexOf(1, 0, 0), -1, 'FIFO evicts the oldest');
+
+    var lru = create({ size: 2, eviction: TintCache.Eviction.LRU });
+    lru.tinted(1, 0, 0);
+    lru.tinted(2, 0, 0);
+    lru.tinted(1, 0, 0);
+    lru.tinted(3, 0, 0);
+    t.equal(lru.indexOf(2, 0, 0), -1, 'LRU evicts the least recently used');
+    t.notEqual(lru.indexOf(1, 0, 0), -1);
+
+    var lfu = create({ size: 2, eviction: "LFU" });
+    lfu.tinted(1, 0, 0);
+    lfu.tinted(1, 0, 0);
+    lfu.tinted(2, 0, 0);
+    lfu.tinted(2, 0, 0);
+    lfu.tinted(1, 0, 0);
+    lfu.tinted(3, 0, 0);
+    t.equal(lfu.indexOf(2, 0, 0), -1, 'LFU evicts the least frequently used');
+
+    t.throws(function() {
+        create({ eviction: "foo" });
+    });
+    t.end();
+});
+
+test('pinned tints are never evicted', function(t) {
+    var cache = create({ size: 2, eviction: "LRU" });
+    cache.cache(1, 0, 0, true);
+    cache.tinted(2, 0, 0);
+    cache.tinted(3, 0, 0);
+    cache.tinted(4, 0, 0);
+    t.notEqual(cache.indexOf(1, 0, 0), -1);
+
+    cache.cache(5, 0, 0, true);
+    t.throws(function() {
+        cache.tinted(6, 0, 0);
+    }, 'throws when every entry is pinned');
+
+    t.ok(cache.unpin(1, 0, 0));
+    cache.tinted(6, 0, 0);
+    t.equal(cache.indexOf(1, 0, 0), -1);
+    t.end();
+});
+
+test('alpha is part of the key', function(t) {
+    var cache = create();
+    var opaque = cache.tinted(255, 0, 0);
+    var faded = cache.tinted(255, 0, 0, 128);
+    t.notEqual(opaque, faded);
+    t.equal(cache.tintsProcessed, 2);
+    t.equal(cache.tinted(255, 0, 0, 255), opaque, 'alpha defaults to 255');
+    t.equal(cache.indexOf(255, 0, 0, 128), 1);
+    t.end();
+});
+
+test('frames are tinted and cached separately', function(t) {
+    var cache = create();
+    cache.addFrame("right", 1, 0, 1, 1);
+
+    var whole = cache.tinted(255, 255, 255);
+    var right = cache.tinted("right", 255, 255, 255);
+    t.notEqual(whole, right);
+    t.equal(right.width, 1);
+    t.deepEqual(support.pixels(right), [ 128, 64, 0, 128 ]);
+
+    t.equal(cache.tinted({ x: 1, y: 0, width: 1, height: 1 }, 255, 255, 255).width, 1, 'frames can be a rect');
+    t.equal(cache.tintsProcessed, 3);
+
+    t.ok(cache.removeFrame("right"));
+    t.throws(function() {
+        cache.tinted("right", 255, 0, 0);
+    });
+    t.end();
+});
+
+test('rects without tints are forgotten', function(t) {
+    var cache = create({ size: 2 });
+    for (var x=0; x<20; x++)
+        cache.tinted({ x: x, y: 0, width: 1, height: 1 }, 255, 255, 255);
+
+    //the whole image, the two rects still cached, and the last one made
+    t.ok(cache._frameList.length <= 4, 'the others are gone');
+    t.deepEqual(support.pixels(cache.tinted({ x: 1, y: 0, width: 1, height: 1 }, 255, 255, 255)), [ 128, 64, 0, 128 ]);
+    t.end();
+});
@@ -0,0 +1,135 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var colors = require('../lib/colors');
+
+function create(options) {
+    return createCache(support.fromPixels(2, 1, [
+        255, 255, 255, 255,
+        255, 128,   0, 255
+    ]), options);
+}
+
+test('parses numeric and CSS colors', function(t) {
+    t.deepEqual(colors.parse(0xff8800), [ 255, 136, 0, 255 ]);
+    t.deepEqual(colors.parse("#f80"), [ 255, 136, 0, 255 ]);
+    t.deepEqual(colors.parse("#FF880080"), [ 255, 136, 0, 128 ]);
+    t.deepEqual(colors.parse("rgb(255, 136, 0)"), [ 255, 136, 0, 255 ]);
+    t.deepEqual(colors.parse("rgba(255,136,0,0.5)"), [ 255, 136, 0, 128 ]);
+    t.deepEqual(colors.parse("rgb(100% 0% 50% / 25%)"), [ 255, 0, 128, 64 ]);
+    t.deepEqual(colors.parse("hsl(120, 100%, 50%)"), [ 0, 255, 0, 255 ]);
+    t.deepEqual(colors.parse("hsla(-120deg 100% 25% / 1)"), [ 0, 0, 128, 255 ]);
+    t.deepEqual(colors.parse({ r: 1, g: 2, b: 3, a: 4 }), [ 1, 2, 3, 4 ]);
+    t.equal(colors.parse("#abc"), colors.parse("#abc"), 'memoized');
+    t.throws(function() {
+        colors.parse("papayawhip");
+    });
+    t.end();
+});
+
+test('tinted() and cache() take a single color', function(t) {
+    var cache = create({ size: 10 });
+    var orange = cache.tinted(255, 136, 0);
+
+    t.equal(cache.tinted(0xff8800), orange);
+    t.equal(cache.tinted("#ff8800"), orange);
+    t.equal(cache.tinted("rgb(255, 136, 0)"), orange);
+    t.equal(cache.tinted([ 255, 136, 0 ]), orange);
+    t.equal(cache.tinted({ r: 255, g: 136, b: 0 }), orange);
+    t.equal(cache.tintsProcessed, 1);
+
+    t.deepEqual(support.pixels(cache.tinted("rgba(0, 0, 255, 0.5)")), [ 0, 0, 255, 128, 0, 0, 0, 128 ]);
+
+    cache.cache("#00ff00", true);
+    t.ok(cache.descriptors[cache.indexOf(0, 255, 0)].pinned);
+    cache.cache(0x0000ff);
+    t.notEqual(cache.indexOf(0, 0, 255), -1);
+    t.end();
+});
+
+test('frames and colors can be told apart', function(t) {
+    var cache = create({ size: 10 });
+    cache.addFrame("orange", 1, 0, 1, 1);
+    cache.addFrame("#fff", 0, 0, 1, 1);
+
+    t.deepEqual(support.pixels(cache.tinted("orange", "#0ff")), [ 0, 128, 0, 255 ]);
+    t.deepEqual(support.pixels(cache.tinted({ x: 1, y: 0, width: 1, height: 1 }, { r: 0, g: 255, b: 255 })), [ 0, 128, 0, 255 ]);
+    t.deepEqual(support.pixels(cache.tinted("#fff", 0xff0000)), [ 255, 0, 0, 255 ], 'frame names come first');
+    cache.cache("orange", 0x00ffff, true);
+    t.ok(cache.descriptors[cache.indexOf("orange", 0, 255, 255)].pinned);
+    t.throws(function() {
+        cache.tinted("missing", 0xff0000);
+    });
+    t.end();
+});
+
+test('drawTinted() draws and scales', function(t) {
+    var target = support.createCanvas(4, 1);
+    var cache = create();
+
+    cache.drawTinted(target.getContext("2d"), "#ff0000", 0, 0);
+    cache.drawTinted(target.getContext("2d"), [ 0, 255, 0 ], 2, 0, 1, 1);
+    var pixels = support.pixels(target);
+    t.deepEqual(pixels.slice(0, 8), [ 255, 0, 0, 255, 255, 0, 0, 255 ]);
+    t.ok(pixels[8] === 0 && pixels[9] > 0 && pixels[11] === 255, 'scaled down to one pixel');
+    t.deepEqual(pixels.slice(12), [ 0, 0, 0, 0 ]);
+    t.end();
+});
+
+test('drawTinted() keeps the r, g, b form', function(t) {
+    var cache = create();
+    cache.addFrame("orange", 1, 0, 1, 1);
+
+    var target = support.createCanvas(4, 1);
+    cache.drawTinted(target.getContext("2d"), 255, 0, 0, 0, 0, 1, 1);
+    cache.drawTinted(target.getContext("2d"), "orange", 255, 255, 255, 1, 0);
+    cache.drawTinted(target.getContext("2d"), 0x0000ff, 2, 0);
+    t.deepEqual(support.pixels(target), [
+        255, 0, 0, 255,
+        255, 128, 0, 255,
+        0, 0, 255, 255,
+        0, 0, 0, 255
+    ], 'a single number with x and y is a color');
+
+    var other = support.createCanvas(2, 1);
+    cache.drawTinted(other.getContext("2d"), 255, 0, 0, 0, 0);
+    t.deepEqual(support.pixels(other), [ 255, 0, 0, 255, 255, 0, 0, 255 ], 'five numbers are r, g, b, x, y');
+    t.end();
+});
+
+test('drawTinted() takes a numeric color with a size', function(t) {
+    var cache = create();
+    var target = support.createCanvas(3, 1);
+    cache.drawTinted(target.getContext("2d"), 0xff8800, 1, 0, 1, 1);
+    var pixels = support.pixels(target);
+    t.deepEqual(pixels.slice(0, 4), [ 0, 0, 0, 0 ]);
+    t.ok(pixels[4] === 255 && pixels[5] > 0 && pixels[6] === 0 && pixels[7] === 255, 'drawn at x, y in orange');
+    t.deepEqual(pixels.slice(8), [ 0, 0, 0, 0 ], 'scaled down to one pixel');
+
+    t.throws(function() {
+        cache.drawTinted(target.getContext("2d"), "#ff000", 0, 0);
+    }, /invalid color/);
+    t.throws(function() {
+        cache.drawTinted(target.getContext("2d"), "rgb(1, 2)", 0, 0);
+    }, /invalid color/);
+    t.throws(function() {
+        cache.drawTinted(target.getContext("2d"), 255, 0, 0, 0);
+    }, /takes r, g, b or a color/);
+    t.throws(function() {
+        cache.drawTinted(target.getContext("2d"), "#ff0000", 0, 0, 1);
+    }, /takes r, g, b or a color/);
+    t.end();
+});
+
+test('createPattern() reuses patterns for the same tint', function(t) {
+    var context = support.createCanvas(1, 1).getContext("2d");
+    var cache = create({ atlas: true });
+
+    var pattern = cache.createPattern(context, "#ff0000", "repeat-x");
+    t.equal(pattern.repetition, "repeat-x");
+    t.deepEqual(support.pixels(pattern.image), [ 255, 0, 0, 255, 255, 0, 0, 255 ], 'a copy of the atlas region');
+    t.equal(cache.createPattern(context, "#ff0000", "repeat-x"), pattern);
+    t.notEqual(cache.createPattern(context, "#ff0000"), pattern);
+    t.equal(cache.createPattern(context, "#ff0000").repetition, "repeat");
+    t.end();
+});
@@ -0,0 +1,195 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+function create(options) {
+    return createCache(support.fromPixels(2, 1, [
+        255, 255, 255, 255,
+        255, 128,   0, 255
+    ]), options);
+}
+
+//the colors cached, as sorted [r, g, b, a] lists
+function cached(cache) {
+    return cache.tints.filter(function(tint) {
+        return tint !== TintCache.NONE;
+    }).map(function(tint) {
+        return [ (tint >> 16) & 0xff, (tint >> 8) & 0xff, tint & 0xff, 255 - ((tint >>> 24) & 0xff) ];
+    }).sort();
+}
+
+test('the distance option takes a metric, its name, or a function', function(t) {
+    var custom = function() {
+        return 0;
+    };
+
+    t.equal(create().distance, TintCache.Distance.LAB76, 'LAB76 by default');
+    t.equal(create({ distance: "rgb" }).distance, TintCache.Distance.RGB);
+    t.equal(create({ distance: "CIEDE2000" }).distance, TintCache.Distance.CIEDE2000);
+    t.equal(create({ distance: custom }).distance, custom);
+    t.throws(function() {
+        create({ distance: "cie94" });
+    }, /Distance/);
+    t.throws(function() {
+        create().distance = 5;
+    }, /distance/);
+    t.end();
+});
+
+test('the metrics', function(t) {
+    var Distance = TintCache.Distance;
+
+    t.equal(Distance.RGB(0, 0, 0, 255, 3, 4, 0, 255), 5);
+    t.equal(Distance.RGB(0, 0, 0, 255, 0, 0, 0, 0), 255, 'alpha is a dimension');
+    t.equal(Distance.LAB76(10, 20, 30, 255, 10, 20, 30, 255), 0);
+    t.ok(Math.abs(Distance.LAB76(0, 0, 0, 255, 255, 255, 255, 255) - 100) < 1e-3, 'black to white');
+    t.ok(Math.abs(Distance.LAB76(0, 0, 0, 255, 0, 0, 0, 0) - 100) < 1e-9, 'alpha in units of lightness');
+    t.equal(Distance.CIEDE2000(200, 50, 50, 255, 200, 50, 50, 255), 0);
+    t.ok(Math.abs(Distance.CIEDE2000(0, 0, 0, 255, 255, 255, 255, 255) - 100) < 1e-3, 'black to white');
+    t.ok(Distance.CIEDE2000(0, 0, 255, 255, 0, 0, 230, 255) < Distance.LAB76(0, 0, 255, 255, 0, 0, 230, 255),
+            'blues are closer than in CIE76');
+    t.end();
+});
+
+test('fuzzy lookups use the metric', function(t) {
+    var cache = create({ distance: "rgb", fuzziness: 10 });
+
+    var gray = cache.tinted(100, 100, 100);
+    t.equal(cache.tinted(105, 105, 105), gray, 'within 10 bytes');
+    t.notEqual(cache.tinted(110, 110, 110), gray);
+
+    var stats = cache.stats();
+    t.equal(stats.fuzzyHits, 1);
+    t.ok(Math.abs(stats.averageFuzzyError - Math.sqrt(75)) < 1e-9, 'the error is in the units of the metric');
+
+    var reds = create({ 
+        fuzziness: 1,
+        distance: function(r1, g1, b1, a1, r2) {
+            return Math.abs(r1 - r2);
+        }
+    });
+    var red = reds.tinted(255, 0, 0);
+    t.equal(reds.tinted(255, 200, 50), red, 'a custom metric');
+    t.equal(reds.indexOf(255, 255, 255), reds.indexOf(255, 0, 0));
+
+    var de = create({ distance: "ciede2000", fuzziness: 2 });
+    var tint = de.tinted(200, 50, 50);
+    t.equal(de.tinted(201, 50, 50), tint);
+    t.notEqual(de.tinted(0, 0, 255), tint);
+    t.end();
+});
+
+test('the palette is snapped with the metric', function(t) {
+    var palette = [ 0xffffff, 0x000000 ];
+    var redOnly = function(r1, g1, b1, a1, r2) {
+        return Math.abs(r1 - r2);
+    };
+
+    var lab = create({ palette: palette }),
+        custom = create({ palette: palette, distance: redOnly });
+    lab.tinted(10, 255, 255);
+    custom.tinted(10, 255, 255);
+    t.deepEqual(cached(lab), [ [ 255, 255, 255, 255 ] ]);
+    t.deepEqual(cached(custom), [ [ 0, 0, 0, 255 ] ]);
+    t.end();
+});
+
+test('deterministic lookups resolve to the bucket, whatever is cached', function(t) {
+    var a = create({ deterministic: true, fuzziness: 2 }),
+        b = create({ deterministic: true, fuzziness: 2 });
+
+    a.tinted(100, 100, 100);
+    a.tinted(102, 101, 100);
+    b.tinted(102, 101, 100);
+    b.tinted(100, 100, 100);
+    t.equal(a.tintsProcessed, 1, 'the same bucket');
+    t.deepEqual(cached(a), cached(b), 'in any order');
+    t.deepEqual(cached(a), [ [ 99, 99, 99, 255 ] ], 'the center of the bucket');
+
+    //without the flag, the first request wins
+    var c = create({ fuzziness: 2 });
+    c.tinted(102, 101, 100);
+    c.tinted(100, 100, 100);
+    t.deepEqual(cached(c), [ [ 102, 101, 100, 255 ] ]);
+
+    t.notEqual(a.indexOf(101, 100, 100), -1, 'indexOf() finds the bucket');
+    t.equal(a.indexOf(120, 100, 100), -1);
+    t.end();
+});
+
+test('deterministic tints from cache() are found by tinted()', function(t) {
+    var cache = create({ deterministic: true, fuzziness: 2 });
+    var tint = cache.cache(200, 100, 50);
+    t.equal(cache.tinted(200, 100, 50), tint);
+    t.equal(cache.stats().hits, 1);
+    t.equal(cache.stats().misses, 1, 'only the cache() call');
+    t.end();
+});
+
+test('deterministic buckets snap the same color twice', function(t) {
+    [ "LAB76", "RGB" ].forEach(function(distance) {
+        var cache = create({ size: 1, deterministic: true, fuzziness: 2, distance: distance }),
+            moved = 0;
+        for (var r=0; r<256; r+=15) {
+            for (var g=0; g<256; g+=15) {
+                for (var b=0; b<256; b+=15) {
+                    cache.tinted(r, g, b, r);
+                    var c = cached(cache)[0];
+                    if (cache.indexOf(c[0], c[1], c[2], c[3]) === -1)
+                        moved++;
+                }
+            }
+        }
+        t.equal(moved, 0, distance);
+    });
+
+    var cache = create({ deterministic: true, fuzziness: 2 });
+    cache.tinted(0, 0, 50);
+    var c = cached(cache)[0];
+    t.notEqual(cache.indexOf(c[0], c[1], c[2], c[3]), -1, 'finds (0, 0, 50) by its snapped color');
+    t.end();
+});
+
+test('deterministic buckets keep black, white and opaque', function(t) {
+    var cache = create({ deterministic: true, fuzziness: 2 });
+    cache.tinted(0, 0, 0);
+    cache.tinted(255, 255, 255);
+    cache.tinted(255, 255, 255, 0);
+    t.deepEqual(cached(cache), [ [ 0, 0, 0, 255 ], [ 255, 255, 255, 0 ], [ 255, 255, 255, 255 ] ]);
+    t.end();
+});
+
+test('deterministic buckets with the rgb distance', function(t) {
+    var cache = create({ deterministic: true, fuzziness: 10, distance: "rgb" });
+    cache.tinted(104, 96, 255);
+    cache.tinted(106, 94, 250);
+    t.deepEqual(cached(cache), [ [ 100, 100, 255, 255 ], [ 110, 90, 250, 255 ] ]);
+    t.end();
+});
+
+test('the distance and deterministic flag survive export() and import()', function(t) {
+    var cache = create({ deterministic: true, distance: "rgb" });
+    cache.export().then(function(data) {
+        t.equal(data.settings.distance, "RGB");
+        t.equal(data.settings.deterministic, true);
+
+        var other = create();
+        return other.import(data).then(function() {
+            t.equal(other.distance, TintCache.Distance.RGB);
+            t.equal(other.deterministic, true);
+            t.end();
+        });
+    });
+});
+
+test('export() rejects a custom distance', function(t) {
+    var cache = create({ distance: function() { return 0; } });
+    cache.export().then(function() {
+        t.fail('should not resolve');
+        t.end();
+    }, function(err) {
+        t.ok(/custom distance/.test(err.message));
+        t.end();
+    });
+});
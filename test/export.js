@@ -0,0 +1,241 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var createIndexedDB = require('./support/indexeddb');
+var TintCache = require('../');
+
+var SOURCE = [
+    255, 255, 255, 255,
+    255, 128,   0, 255
+];
+
+function create(options, pixels) {
+    var source = support.fromPixels(2, 1, pixels || SOURCE);
+    source.src = "sprite.png";
+    return createCache(source, options);
+}
+
+test('export() lists the tints and settings', function(t) {
+    var cache = create({ size: 10, fuzziness: 2, eviction: "LRU" });
+    cache.addFrame("orange", 1, 0, 1, 1);
+    cache.tinted(255, 0, 0);
+    cache.cache("orange", 0, 0, 255, 128, true);
+    cache.blended(TintCache.Blend.SCREEN, 0, 0, 255, 0.5);
+
+    cache.export().then(function(data) {
+        t.equal(data.width, 2);
+        t.equal(typeof data.hash, "string");
+        t.deepEqual(data.settings, { mode: "BEST", size: 10, rounding: 0, fuzziness: 2, palette: null, eviction: "LRU", distance: "LAB76", deterministic: false, linear: false });
+        t.deepEqual(data.frames, { orange: { x: 1, y: 0, width: 1, height: 1 } });
+        t.deepEqual(data.tints, [
+            { frame: null, scale: 1, variant: "", r: 255, g: 0, b: 0, a: 255, pinned: false, pixels: null },
+            { frame: "orange", scale: 1, variant: "", r: 0, g: 0, b: 255, a: 128, pinned: true, pixels: null },
+            { frame: null, scale: 1, variant: "SCREEN:127", r: 0, g: 0, b: 255, a: 255, pinned: false, pixels: null }
+        ]);
+        t.end();
+    });
+});
+
+test('import() restores raw pixels without tinting', function(t) {
+    var cache = create({ size: 10, mode: TintCache.Mode.FASTEST });
+    cache.addFrame("orange", 1, 0, 1, 1);
+    var red = support.pixels(cache.tinted(255, 0, 0));
+    cache.cache("orange", 0, 0, 255, 128, true);
+
+    cache.export({ pixels: "raw" }).then(function(data) {
+        var copy = create();
+        return copy.import(data);
+    }).then(function(copy) {
+        t.equal(copy.mode, TintCache.Mode.FASTEST);
+        t.equal(copy.size, 10);
+        t.deepEqual(support.pixels(copy.tinted(255, 0, 0)), red);
+        t.ok(copy.frames.orange);
+        t.ok(copy.descriptors[copy.indexOf("orange", 0, 0, 255, 128)].pinned);
+        t.equal(copy.stats().misses, 0, 'restores are not counted');
+        t.end();
+    });
+});
+
+test('import() tints again without pixels', function(t) {
+    var cache = create({ size: 10 });
+    cache.transformed({ hue: 120 });
+    cache.blended(TintCache.Blend.LERP, 0, 0, 0, 0.5);
+
+    var copy = create();
+    cache.export().then(function(data) {
+        return copy.import(data);
+    }).then(function() {
+        t.equal(copy.tintsProcessed, 2);
+        t.deepEqual(support.pixels(copy.transformed({ hue: 120 })), support.pixels(cache.transformed({ hue: 120 })));
+        t.deepEqual(support.pixels(copy.blended(TintCache.Blend.LERP, 0, 0, 0, 0.5)), [ 128, 128, 128, 255, 128, 64, 0, 255 ]);
+        t.equal(copy.tintsProcessed, 2, 'the variants are found');
+        t.end();
+    });
+});
+
+test('import() keeps restored transforms exact', function(t) {
+    var cache = create({ size: 10, fuzziness: 2 });
+    cache.transformed({ hue: 90 });
+
+    var copy = create();
+    cache.export({ pixels: "raw" }).then(function(data) {
+        return copy.import(data);
+    }).then(function() {
+        var fresh = create();
+        t.deepEqual(support.pixels(copy.transformed({ hue: 95 })), support.pixels(fresh.transformed({ hue: 95 })));
+        t.equal(copy.stats().fuzzyHits, 0, 'not a fuzzy hit of the restored hue');
+        t.end();
+    });
+});
+
+test('import() rejects a stale snapshot', function(t) {
+    create().export().then(function(data) {
+        return create({}, [ 0, 0, 0, 255, 0, 0, 0, 255 ]).import(data);
+    }).then(function() {
+        t.fail('should not resolve');
+        t.end();
+    }, function(err) {
+        t.ok(err instanceof Error);
+        t.equal(err.stale, true);
+        t.end();
+    });
+});
+
+test('export() leaves a dirty cache alone', function(t) {
+    var cache = create({ size: 10 });
+    cache.tinted(255, 0, 0);
+    cache.source._data.set([ 0, 0, 0, 255 ]);
+    cache.invalidate();
+
+    cache.export().then(function(data) {
+        t.equal(cache.dirty, true, 'still dirty');
+        t.deepEqual(data.tints, [], 'without the stale tints');
+        return create({}, [ 0, 0, 0, 255, 255, 128, 0, 255 ]).import(data);
+    }).then(function(copy) {
+        t.ok(copy, 'hashed from the new image data');
+        t.end();
+    });
+});
+
+test('import() skips the stats and hooks', function(t) {
+    var cache = create({ size: 10 });
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 0, 255);
+
+    var calls = 0,
+        copy = create({
+            size: 1,
+            onMiss: function() { calls++; },
+            onEvict: function() { calls++; }
+        });
+    copy.tinted(0, 255, 0);
+
+    cache.export().then(function(data) {
+        return copy.import(data);
+    }).then(function() {
+        t.equal(calls, 1, 'only the tint before the import');
+        t.equal(copy.stats().misses, 1);
+        t.equal(copy.stats().evictions, 0);
+        t.end();
+    });
+});
+
+test('export() encodes PNGs and import() decodes them', function(t) {
+    var blobs = [];
+    function options() {
+        return {
+            size: 10,
+            createCanvas: function(width, height) {
+                var canvas = support.createCanvas(width, height);
+                canvas.toBlob = function(callback) {
+                    var blob = { size: 1, pixels: support.pixels(canvas), width: width, height: height };
+                    blobs.push(blob);
+                    callback(blob);
+                };
+                return canvas;
+            },
+            createImageBitmap: function(blob) {
+                return Promise.resolve(support.fromPixels(blob.width, blob.height, blob.pixels));
+            }
+        };
+    }
+
+    var cache = create(options());
+    var red = support.pixels(cache.tinted(255, 0, 0));
+    cache.export({ pixels: "png" }).then(function(data) {
+        t.equal(data.tints[0].pixels, blobs[0]);
+        return create(options()).import(data);
+    }).then(function(copy) {
+        t.deepEqual(support.pixels(copy.tinted(255, 0, 0)), red);
+        t.equal(copy.tintsProcessed, 1);
+        t.end();
+    });
+});
+
+test('IndexedDBStore saves and loads snapshots', function(t) {
+    var store = new TintCache.IndexedDBStore({ indexedDB: createIndexedDB() });
+    var cache = create({ size: 10 });
+    cache.tinted(255, 0, 0);
+
+    var copy = create();
+    store.save(cache).then(function() {
+        return store.load(copy);
+    }).then(function(loaded) {
+        t.ok(loaded);
+        t.notEqual(copy.indexOf(255, 0, 0), -1);
+        t.equal(copy.stats().misses, 0);
+
+        //the image has changed since
+        return store.load(create({}, [ 0, 0, 0, 255, 0, 0, 0, 255 ]));
+    }).then(function(loaded) {
+        t.notOk(loaded, 'stale snapshots are not loaded');
+        return store.load(create());
+    }).then(function(loaded) {
+        t.notOk(loaded, 'and are deleted');
+        t.end();
+    });
+});
+
+test('IndexedDBStore keeps snapshots which fail to load for other reasons', function(t) {
+    var store = new TintCache.IndexedDBStore({ indexedDB: createIndexedDB() });
+    var cache = create({ 
+        size: 10,
+        createCanvas: function(width, height) {
+            var canvas = support.createCanvas(width, height);
+            canvas.toBlob = function(callback) {
+                callback({ size: 1 });
+            };
+            return canvas;
+        }
+    });
+    cache.tinted(255, 0, 0);
+
+    //without createImageBitmap, the PNGs can't be decoded
+    function copy() {
+        return create({ createImageBitmap: function() { return null; } });
+    }
+
+    store.save(cache, { pixels: "png" }).then(function() {
+        return store.load(copy());
+    }).then(null, function(err) {
+        t.ok(/createImageBitmap/.test(err.message), 'rejected');
+        return store.load(copy());
+    }).then(null, function(err) {
+        t.ok(/createImageBitmap/.test(err.message), 'the snapshot is kept');
+        t.end();
+    });
+});
+
+test('IndexedDBStore needs a key', function(t) {
+    var store = new TintCache.IndexedDBStore({ indexedDB: createIndexedDB() });
+    var cache = createCache(support.fromPixels(1, 1, [ 0, 0, 0, 255 ]));
+    store.save(cache).then(null, function(err) {
+        t.ok(err instanceof Error);
+        return store.save(cache, { key: "black" });
+    }).then(function() {
+        return store.load(cache, "black");
+    }).then(function(loaded) {
+        t.ok(loaded);
+        t.end();
+    });
+});
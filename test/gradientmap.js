@@ -0,0 +1,106 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+
+//white, black, mid gray, and a semi-transparent white pixel
+var SOURCE = [
+    255, 255, 255, 255,
+      0,   0,   0, 255,
+    128, 128, 128, 255,
+    255, 255, 255, 128
+];
+
+function create(options) {
+    return createCache(support.fromPixels(4, 1, SOURCE), options);
+}
+
+test('maps luminance through the stops', function(t) {
+    var cache = create();
+
+    t.deepEqual(support.pixels(cache.gradientMapped([ "#00f", "#ff0" ])), [
+        255, 255,   0, 255,
+          0,   0, 255, 255,
+        128, 128, 127, 255,
+        255, 255,   0, 128
+    ], 'duotone');
+    t.deepEqual(support.pixels(cache.gradientMapped([
+        { offset: 0, color: "#000" },
+        { offset: 0.5, color: "#f00" },
+        { offset: 1, color: "rgba(255, 255, 255, 0.5)" }
+    ], 128)).slice(0, 12), [
+        255, 255, 255, 64,
+          0,   0,   0, 128,
+        255,   0,   0, 128
+    ], 'stops with offsets and alpha');
+    t.deepEqual(support.pixels(cache.gradientMapped([ 0x336699 ])).slice(0, 8), [
+        0x33, 0x66, 0x99, 255,
+        0x33, 0x66, 0x99, 255
+    ], 'a single stop fills the image');
+    t.throws(function() {
+        cache.gradientMapped([]);
+    }, /stop/);
+    t.end();
+});
+
+test('gradient maps are cached by their stops', function(t) {
+    var cache = create({ size: 10 });
+
+    var mapped = cache.gradientMapped([ "#00f", "#ff0" ]);
+    t.equal(cache.gradientMapped([ [ 0, 0, 255 ], { offset: 1, color: "#ffff00" } ]), mapped, 'same stops');
+    t.notEqual(cache.gradientMapped([ "#ff0", "#00f" ]), mapped, 'order matters');
+    t.notEqual(cache.tinted(0, 0, 255), mapped, 'apart from tints');
+    t.equal(cache.tintsProcessed, 3);
+    t.end();
+});
+
+test('rounding applies to each stop', function(t) {
+    var cache = create({ rounding: 8 });
+
+    var mapped = cache.gradientMapped([ [ 10, 20, 30 ], [ 250, 250, 250 ] ]);
+    t.equal(cache.gradientMapped([ [ 9, 21, 31 ], [ 251, 249, 251 ] ]), mapped);
+    t.end();
+});
+
+test('gradient maps skip the palette', function(t) {
+    var cache = create({ palette: [ 0x000000 ] });
+    t.deepEqual(support.pixels(cache.gradientMapped([ "#00f", "#ff0" ])).slice(0, 4), [ 255, 255, 0, 255 ]);
+    t.end();
+});
+
+test('maps frames', function(t) {
+    var cache = create();
+    cache.addFrame("black", 1, 0, 1, 1);
+    t.deepEqual(support.pixels(cache.gradientMapped("black", [ "#f00", "#fff" ])), [ 255, 0, 0, 255 ]);
+    t.end();
+});
+
+test('gradient maps survive export() and import()', function(t) {
+    var cache = create();
+    cache.gradientMapped([ "#00f", "#ff0" ]);
+
+    cache.export().then(function(data) {
+        t.equal(data.tints[0].variant, "MAP:0,0,0,255,255;255,255,255,0,255");
+
+        var other = create();
+        return other.import(data).then(function() {
+            t.equal(other.tintsProcessed, 1, 'tinted again on import');
+            var before = other.tintsProcessed;
+            var mapped = other.gradientMapped([ "#00f", "#ff0" ]);
+            t.equal(other.tintsProcessed, before, 'restored');
+            t.deepEqual(support.pixels(mapped).slice(0, 4), [ 255, 255, 0, 255 ]);
+            t.end();
+        });
+    });
+});
+
+test('evicted gradient maps are forgotten', function(t) {
+    var cache = create({ size: 2 });
+    for (var i=0; i<50; i++)
+        cache.gradientMapped([ "#000", [ i, 0, 0 ] ]);
+
+    //only the maps still cached keep their lookup tables
+    t.equal(Object.keys(cache._variants).length, 2);
+    t.deepEqual(support.pixels(cache.gradientMapped([ "#000", [ 0, 0, 0 ] ])).slice(3, 4), [ 255 ], 'made again when needed');
+    t.equal(cache.tintsProcessed, 51);
+    t.end();
+});
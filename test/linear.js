@@ -0,0 +1,114 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//a mid gray, white, and a semi-transparent orange pixel
+var SOURCE = [
+    128, 128, 128, 255,
+    255, 255, 255, 255,
+    200, 100,  50, 128
+];
+
+function create(options, source) {
+    return createCache(source || support.fromPixels(3, 1, SOURCE), options);
+}
+
+test('linear is off by default', function(t) {
+    t.equal(create().linear, false);
+    t.equal(create({ linear: true }).linear, true);
+    t.end();
+});
+
+test('tints are multiplied in linear light', function(t) {
+    var srgb = create(),
+        lin = create({ linear: true });
+
+    t.deepEqual(support.pixels(srgb.tinted(128, 128, 128)).slice(0, 8), [
+        64, 64, 64, 255,
+        128, 128, 128, 255
+    ]);
+    t.deepEqual(support.pixels(lin.tinted(128, 128, 128)).slice(0, 8), [
+        61, 61, 61, 255,
+        128, 128, 128, 255
+    ], 'half of linear gray, and the tint itself for white');
+    t.end();
+});
+
+test('white leaves the image as it is, and alpha is scaled', function(t) {
+    var cache = create({ linear: true });
+
+    t.deepEqual(support.pixels(cache.tinted(255, 255, 255)), SOURCE);
+    t.deepEqual(support.pixels(cache.tinted(255, 255, 255, 128)).slice(8), [ 200, 100, 50, 64 ]);
+    t.end();
+});
+
+test('changing linear marks the cache dirty', function(t) {
+    var cache = create();
+    var before = support.pixels(cache.tinted(128, 128, 128));
+
+    cache.linear = true;
+    t.equal(cache.dirty, true);
+    t.notDeepEqual(support.pixels(cache.tinted(128, 128, 128)), before);
+
+    cache.dirty = false;
+    cache.linear = true;
+    t.equal(cache.dirty, false, 'unchanged');
+    t.end();
+});
+
+test('the compositing modes ignore linear', function(t) {
+    var a = create({ mode: TintCache.Mode.FASTEST }),
+        b = create({ mode: TintCache.Mode.FASTEST, linear: true });
+    t.deepEqual(support.pixels(b.tinted(128, 128, 128)), support.pixels(a.tinted(128, 128, 128)));
+    t.end();
+});
+
+test('linear tints are not sent to the worker', function(t) {
+    var worker = {
+        sent: 0,
+        addEventListener: function() {},
+        removeEventListener: function() {},
+        postMessage: function() {
+            this.sent++;
+        }
+    };
+    var cache = create({ linear: true, worker: worker });
+
+    t.deepEqual(support.pixels(cache.tinted(128, 128, 128)).slice(0, 4), [ 61, 61, 61, 255 ]);
+    cache.tintedAsync(0, 0, 255).then(function(canvas) {
+        t.deepEqual(support.pixels(canvas).slice(4, 8), [ 0, 0, 255, 255 ]);
+        t.equal(worker.sent, 0);
+        t.end();
+    });
+});
+
+test('scaled tints are shrunk in linear light', function(t) {
+    var pixels = [
+        0, 0, 0, 255,
+        255, 255, 255, 255
+    ];
+    var srgb = create({ scales: [ 1, 0.5 ] }, support.fromPixels(2, 1, pixels)),
+        lin = create({ scales: [ 1, 0.5 ], linear: true }, support.fromPixels(2, 1, pixels));
+
+    t.deepEqual(support.pixels(srgb.scaled("#fff", 0.5)), [ 128, 128, 128, 255 ]);
+    t.deepEqual(support.pixels(lin.scaled("#fff", 0.5)), [ 188, 188, 188, 255 ], 'half of white in linear light');
+    t.end();
+});
+
+test('alpha is straight, not premultiplied', function(t) {
+    var cache = create({ linear: true }, support.fromPixels(2, 1, [
+        200, 100, 50, 128,
+        200, 100, 50, 255
+    ]));
+    var pixels = support.pixels(cache.tinted(128, 128, 128));
+    t.deepEqual(pixels.slice(0, 3), pixels.slice(4, 7), 'the color does not depend on alpha');
+    t.equal(pixels[3], 128);
+
+    var scaled = create({ scales: [ 1, 0.5 ], linear: true }, support.fromPixels(2, 1, [
+        255, 255, 255, 255,
+        0, 0, 0, 0
+    ]));
+    t.deepEqual(support.pixels(scaled.scaled("#fff", 0.5)).slice(0, 3), [ 255, 255, 255 ], 'transparent pixels do not darken');
+    t.end();
+});
@@ -0,0 +1,81 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createManager = require('./support/cache').manager;
+var TintCache = require('../');
+
+function image(width, height) {
+    var pixels = [];
+    for (var i=0; i<width*height; i++)
+        pixels.push(255, 255, 255, 255);
+    return support.fromPixels(width, height, pixels);
+}
+
+test('hands out one cache per source', function(t) {
+    var manager = createManager({ maxEntries: 10 });
+    var img = image(1, 1);
+
+    var cache = manager.get(img);
+    t.ok(cache instanceof TintCache);
+    t.equal(manager.get(img), cache);
+    t.equal(cache.manager, manager);
+
+    t.ok(manager.remove(img));
+    t.notOk(manager.remove(img));
+    t.equal(cache.manager, null);
+    t.end();
+});
+
+test('enforces an entry budget across sources', function(t) {
+    var manager = createManager({ maxEntries: 3, eviction: "LRU" });
+    var a = manager.get(image(2, 2)),
+        b = manager.get(image(4, 4));
+
+    a.tinted(1, 0, 0);
+    b.tinted(2, 0, 0);
+    a.tinted(3, 0, 0);
+    a.tinted(1, 0, 0);
+    b.tinted(4, 0, 0);
+
+    var usage = manager.usage();
+    t.equal(usage.entries, 3);
+    t.equal(b.indexOf(2, 0, 0), -1, 'the least recently used tint is evicted');
+    t.notEqual(a.indexOf(1, 0, 0), -1);
+    t.equal(usage.sources[0].entries, 2);
+    t.equal(usage.sources[1].entries, 1);
+    t.equal(usage.sources[1].bytes, 4 * 4 * 4);
+    t.end();
+});
+
+test('enforces a byte budget across sources', function(t) {
+    var manager = createManager({ maxBytes: 100 });
+    var a = manager.get(image(2, 2)),
+        b = manager.get(image(4, 4));
+
+    a.tinted(1, 0, 0);
+    a.tinted(2, 0, 0);
+    a.tinted(3, 0, 0);
+    t.equal(manager.usage().bytes, 48);
+
+    b.tinted(4, 0, 0);
+    t.equal(manager.usage().bytes, 96, 'the oldest tint is freed to fit');
+    t.equal(a.indexOf(1, 0, 0), -1);
+    t.equal(a.descriptors[0], null, 'its canvas is released');
+    t.end();
+});
+
+test('counts atlas pages in the byte budget', function(t) {
+    var manager = createManager({ maxBytes: 2000, atlas: { size: 16 }, mode: TintCache.Mode.FASTEST });
+    var a = manager.get(image(2, 2)),
+        b = manager.get(image(2, 2));
+
+    a.tinted(1, 0, 0);
+    a.tinted(2, 0, 0);
+    t.equal(manager.usage().bytes, 16 * 16 * 4, 'one page');
+
+    b.tinted(3, 0, 0);
+    t.equal(manager.usage().sources[1].bytes, 16 * 16 * 4);
+    t.equal(a.indexOf(1, 0, 0), -1, 'a new page does not fit next to the first');
+    t.equal(a.indexOf(2, 0, 0), -1);
+    t.equal(manager.usage().bytes, 16 * 16 * 4, 'the empty page is dropped');
+    t.end();
+});
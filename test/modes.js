@@ -0,0 +1,84 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//an opaque white, an opaque orange, and a semi-transparent gray pixel
+var SOURCE = [
+    255, 255, 255, 255,
+    255, 128,   0, 255,
+    128, 128, 128, 128
+];
+
+function create(mode) {
+    return createCache(support.fromPixels(3, 1, SOURCE), { mode: mode });
+}
+
+//the reference multiply tint for each pixel, in straight alpha
+function multiply(r, g, b, a) {
+    var out = [];
+    for (var i=0; i<SOURCE.length; i+=4) {
+        out.push(SOURCE[i] * r / 255, SOURCE[i+1] * g / 255, SOURCE[i+2] * b / 255, SOURCE[i+3] * a / 255);
+    }
+    return out;
+}
+
+//the reference colorize tint: the color replaces RGB, keeping the source alpha
+function colorize(r, g, b, a) {
+    var out = [];
+    for (var i=0; i<SOURCE.length; i+=4) {
+        out.push(r, g, b, SOURCE[i+3] * a / 255);
+    }
+    return out;
+}
+
+//compares pixels with the given tolerance per component; the color of
+//transparent pixels is ignored, and so is the color of translucent 
+//pixels if `opaqueOnly` is true
+function near(t, actual, expected, tolerance, msg, opaqueOnly) {
+    for (var i=0; i<expected.length; i+=4) {
+        var a = actual.slice(i, i+4),
+            e = expected.slice(i, i+4);
+        var ok = Math.abs(a[3] - e[3]) <= tolerance,
+            compareColor = opaqueOnly ? SOURCE[i+3] === 255 : e[3] > 0;
+        for (var k=0; k<3 && ok && compareColor; k++)
+            ok = Math.abs(a[k] - e[k]) <= tolerance;
+        if (!ok)
+            return t.fail(msg + ": pixel " + (i/4) + " is " + a + ", expected about " + e.map(Math.round));
+    }
+    t.pass(msg);
+}
+
+test('BEST multiplies every pixel exactly', function(t) {
+    var cache = create(TintCache.Mode.BEST);
+
+    t.deepEqual(support.pixels(cache.tinted(255, 128, 0)), multiply(255, 128, 0, 255).map(Math.floor));
+    t.deepEqual(support.pixels(cache.tinted(255, 255, 255)), SOURCE, 'white leaves the image as-is');
+    t.deepEqual(support.pixels(cache.tinted(10, 200, 100, 128)), multiply(10, 200, 100, 128).map(Math.floor), 'alpha is baked in');
+    t.end();
+});
+
+//compositing can't reproduce a multiply exactly where the source is translucent
+test('FASTEST approximates a multiply by compositing', function(t) {
+    var cache = create(TintCache.Mode.FASTEST);
+
+    near(t, support.pixels(cache.tinted(255, 128, 0)), multiply(255, 128, 0, 255), 2, 'orange tint', true);
+    near(t, support.pixels(cache.tinted(10, 200, 100, 128)), multiply(10, 200, 100, 128), 2, 'alpha is baked in', true);
+    t.end();
+});
+
+test('COLORIZE fills the image with the color', function(t) {
+    var cache = create(TintCache.Mode.COLORIZE);
+
+    near(t, support.pixels(cache.tinted(255, 128, 0)), colorize(255, 128, 0, 255), 2, 'orange tint');
+    near(t, support.pixels(cache.tinted(10, 200, 100, 128)), colorize(10, 200, 100, 128), 2, 'alpha is baked in');
+    t.end();
+});
+
+test('frames are tinted from their own region', function(t) {
+    var cache = create(TintCache.Mode.BEST);
+    cache.addFrame("orange", 1, 0, 1, 1);
+
+    t.deepEqual(support.pixels(cache.tinted("orange", 0, 255, 255)), [ 0, 128, 0, 255 ]);
+    t.end();
+});
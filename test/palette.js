@@ -0,0 +1,52 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+
+function create(options) {
+    return createCache(support.fromPixels(1, 1, [ 255, 255, 255, 255 ]), options);
+}
+
+test('snaps every request to the nearest palette color', function(t) {
+    var cache = create({ palette: [ 0xff0000, 0x00ff00, [ 0, 0, 255, 128 ] ] });
+    t.deepEqual(cache.palette, [ [ 255, 0, 0, 255 ], [ 0, 255, 0, 255 ], [ 0, 0, 255, 128 ] ]);
+
+    var red = cache.tinted(200, 30, 30);
+    t.deepEqual(support.pixels(red), [ 255, 0, 0, 255 ]);
+    t.equal(cache.tinted(250, 10, 0), red, 'another reddish color is a hit');
+    t.deepEqual(support.pixels(cache.tinted(10, 10, 200, 100)), [ 0, 0, 255, 128 ], 'alpha is matched too');
+    t.equal(cache.tintsProcessed, 2);
+    t.end();
+});
+
+test('bake() caches the whole palette', function(t) {
+    var cache = create({ size: 2, palette: [ 0x000000, 0x808080, 0xffffff ] });
+    t.equal(cache.size, 3, 'size grows to fit the palette');
+
+    cache.bake();
+    t.equal(cache.tintsProcessed, 3);
+
+    for (var i=0; i<256; i+=15)
+        cache.tinted(i, i, i);
+    t.equal(cache.tintsProcessed, 3, 'every request is a hit');
+    t.end();
+});
+
+test('setting the palette clears the cache', function(t) {
+    var cache = create();
+    cache.tinted(1, 2, 3);
+    cache.palette = [ 0xffffff ];
+    t.equal(cache.indexOf(1, 2, 3), -1);
+
+    cache.palette = null;
+    t.equal(cache.palette, null);
+    cache.tinted(1, 2, 3);
+    t.notEqual(cache.indexOf(1, 2, 3), -1, 'colors are no longer snapped');
+
+    t.throws(function() {
+        cache.bake();
+    });
+    t.throws(function() {
+        cache.palette = [];
+    });
+    t.end();
+});
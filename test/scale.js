@@ -0,0 +1,127 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//two red columns, a white column and a transparent one
+var SOURCE = [
+    255, 0, 0, 255,   255, 0, 0, 255,   255, 255, 255, 255,   0, 0, 0, 0,
+    255, 0, 0, 255,   255, 0, 0, 255,   255, 255, 255, 255,   0, 0, 0, 0
+];
+
+function create(options) {
+    return createCache(support.fromPixels(4, 2, SOURCE), options);
+}
+
+function cached(cache) {
+    return cache.tints.filter(function(tint) {
+        return tint !== TintCache.NONE;
+    }).length;
+}
+
+test('scales are checked and sorted', function(t) {
+    t.deepEqual(create({ scales: [ 0.25, 1, 0.5 ] }).scales, [ 1, 0.5, 0.25 ]);
+    t.deepEqual(create({ scales: true }).scales, TintCache.MIPMAP_SCALES);
+    t.equal(create().scales, null);
+    t.throws(function() {
+        create({ scales: [ 1, 2 ] });
+    }, /scale/);
+    t.throws(function() {
+        create({ scales: [] });
+    }, /scales/);
+    t.end();
+});
+
+test('tints are shrunk from the image data', function(t) {
+    var cache = create({ scales: [ 1, 0.5 ] });
+
+    var half = cache.scaled(0xffffff, 0.5);
+    t.equal(half.width, 2);
+    t.equal(half.height, 1);
+    t.deepEqual(support.pixels(half), [
+        255,   0,   0, 255,
+        255, 255, 255, 128
+    ], 'averaged, without darkening by transparent pixels');
+    t.deepEqual(support.pixels(cache.scaled([ 128, 255, 255 ], 0.5)).slice(0, 4), [ 128, 0, 0, 255 ], 'tinted');
+    t.equal(cache.scaled(0xffffff, 1).width, 4, 'full size');
+    t.end();
+});
+
+test('picks the smallest scale which is large enough', function(t) {
+    var cache = create({ scales: true });
+
+    t.equal(cache.scaled("#fff", 0.3).width, 2);
+    t.equal(cache.scaled("#fff", 0.5).width, 2);
+    t.equal(cache.scaled("#fff", 0.51).width, 4);
+    t.equal(cache.scaled("#fff", 2).width, 4, 'never enlarged');
+    t.equal(cache.scaled("#fff", 0.01).width, 1, 'at least a pixel');
+    t.equal(create().scaled("#fff", 0.25).width, 4, 'full size without scales');
+    t.end();
+});
+
+test('each scale is cached as a tint of its own', function(t) {
+    var cache = create({ scales: [ 1, 0.5 ] });
+
+    var half = cache.scaled("#f80", 0.5);
+    t.equal(cache.scaled("#f80", 0.4), half, 'cached');
+    t.notEqual(cache.tinted("#f80"), half);
+    t.equal(cache.tintsProcessed, 2);
+    t.equal(cache.tinted("#f80"), cache.scaled("#f80", 1), 'full size tints are shared with tinted()');
+    t.end();
+});
+
+test('drawTinted() uses the scale it is drawn at', function(t) {
+    var cache = create({ scales: [ 1, 0.5 ] });
+    var target = support.createCanvas(2, 1);
+
+    cache.drawTinted(target.getContext("2d"), "#fff", 0, 0, 2, 1);
+    t.equal(cache.tintsProcessed, 1);
+    cache.scaled("#fff", 0.5);
+    t.equal(cache.tintsProcessed, 1, 'the half size tint');
+    t.deepEqual(support.pixels(target), [
+        255,   0,   0, 255,
+        255, 255, 255, 128
+    ]);
+
+    cache.drawTinted(target.getContext("2d"), "#fff", 0, 0);
+    t.equal(cache.tintsProcessed, 2, 'the full size tint');
+    t.end();
+});
+
+test('scales frames', function(t) {
+    var cache = create({ scales: [ 1, 0.5 ] });
+    cache.addFrame("right", 2, 0, 2, 2);
+
+    t.deepEqual(support.pixels(cache.scaled("right", "#fff", 0.5)), [ 255, 255, 255, 128 ]);
+    t.equal(cached(cache), 1);
+    cache.removeFrame("right");
+    t.equal(cached(cache), 0, 'removing the frame removes its scaled tints');
+    t.end();
+});
+
+test('scales in the compositing modes', function(t) {
+    var cache = create({ scales: [ 1, 0.5 ], mode: TintCache.Mode.FASTEST });
+
+    var half = cache.scaled("#fff", 0.5);
+    t.equal(half.width, 2);
+    t.equal(half.height, 1);
+    t.end();
+});
+
+test('scaled tints survive export() and import()', function(t) {
+    var cache = create({ scales: [ 1, 0.5 ] });
+    cache.scaled("#f00", 0.5);
+
+    cache.export().then(function(data) {
+        t.equal(data.tints[0].scale, 0.5);
+        t.equal(data.tints[0].frame, null);
+
+        var other = create({ scales: [ 1, 0.5 ] });
+        return other.import(data).then(function() {
+            var before = other.tintsProcessed;
+            t.equal(other.scaled("#f00", 0.5).width, 2);
+            t.equal(other.tintsProcessed, before, 'restored');
+            t.end();
+        });
+    });
+});
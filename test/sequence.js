@@ -0,0 +1,185 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//one white pixel, so each tint is its color
+function create(options, source) {
+    return createCache(source || support.fromPixels(1, 1, [ 255, 255, 255, 255 ]), options);
+}
+
+function pinned(cache) {
+    return cache.descriptors.filter(function(descriptor, i) {
+        return descriptor && descriptor.pinned && cache.tints[i] !== TintCache.NONE;
+    }).length;
+}
+
+test('precomputes and pins the strip', function(t) {
+    var cache = create();
+    var seq = cache.sequence("#000", "#fff", 5);
+
+    t.equal(seq.length, 5);
+    t.deepEqual(seq.colors.map(function(c) {
+        return c[0];
+    }), [ 0, 64, 128, 191, 255 ]);
+    t.equal(cache.tintsProcessed, 5);
+    t.equal(pinned(cache), 5);
+    t.end();
+});
+
+test('frameAt() maps the time to a step', function(t) {
+    var cache = create();
+    var seq = cache.sequence([ 255, 0, 0 ], [ 0, 0, 255 ], 3);
+
+    t.deepEqual(support.pixels(seq.frameAt(0)), [ 255, 0, 0, 255 ]);
+    t.deepEqual(support.pixels(seq.frameAt(0.5)), [ 128, 0, 128, 255 ]);
+    t.deepEqual(support.pixels(seq.frameAt(1)), [ 0, 0, 255, 255 ]);
+    t.equal(seq.frameAt(0.7), seq.frameAt(0.5), 'the nearest step');
+    t.equal(seq.frameAt(-1), seq.frameAt(0), 'clamped');
+    t.equal(seq.frameAt(2), seq.frameAt(1), 'clamped');
+    t.equal(seq.frameAt(0), cache.tinted(255, 0, 0), 'the same tints as tinted()');
+    t.equal(cache.tintsProcessed, 3, 'no new tints');
+    t.end();
+});
+
+test('easing and alpha', function(t) {
+    var cache = create();
+    var seq = cache.sequence("rgba(255, 255, 255, 0)", "#000", 3, function(x) {
+        return x * x;
+    });
+
+    t.deepEqual(seq.colors, [
+        [ 255, 255, 255, 0 ],
+        [ 191, 191, 191, 64 ],
+        [ 0, 0, 0, 255 ]
+    ]);
+    t.deepEqual(support.pixels(seq.frameAt(0.5)), [ 191, 191, 191, 64 ]);
+    t.end();
+});
+
+test('sequences of a frame', function(t) {
+    var cache = create({}, support.fromPixels(2, 1, [
+        255, 255, 255, 255,
+        128, 128, 128, 255
+    ]));
+    cache.addFrame("gray", 1, 0, 1, 1);
+
+    var seq = cache.sequence("gray", "#fff", 0x000000, 2);
+    t.deepEqual(support.pixels(seq.frameAt(0)), [ 128, 128, 128, 255 ]);
+    t.deepEqual(support.pixels(seq.frameAt(1)), [ 0, 0, 0, 255 ]);
+    t.end();
+});
+
+test('the tints stay until released', function(t) {
+    var cache = create({ size: 4 });
+    var seq = cache.sequence("#000", "#fff", 3);
+
+    for (var i=0; i<10; i++)
+        cache.tinted(i, 0, 0);
+    t.equal(pinned(cache), 3);
+
+    var processed = cache.tintsProcessed;
+    seq.frameAt(0.5);
+    t.equal(cache.tintsProcessed, processed, 'still cached');
+
+    seq.release();
+    t.equal(seq.pinned, false);
+    t.equal(pinned(cache), 0);
+    for (i=0; i<10; i++)
+        cache.tinted(i, 0, 0);
+    t.deepEqual(support.pixels(seq.frameAt(0.5)), [ 128, 128, 128, 255 ], 'made again');
+    t.equal(pinned(cache), 0, 'and not pinned');
+    t.end();
+});
+
+test('frameAt() counts as a use of the tint', function(t) {
+    var cache = create({ size: 3, eviction: "LRU" });
+    var seq = cache.sequence("#000", "#fff", 2);
+    seq.release();
+    cache.tinted(255, 0, 0);
+
+    var hits = cache.stats().hits;
+    var black = seq.frameAt(0);
+    t.equal(cache.stats().hits, hits + 1, 'counted as a hit');
+
+    cache.tinted(0, 255, 0);
+    t.equal(cache.indexOf(255, 255, 255), -1, 'the unused step is evicted');
+    t.equal(seq.frameAt(0), black, 'rather than the one in use');
+    t.end();
+});
+
+test('the tints are made again when the cache is reset', function(t) {
+    var cache = create();
+    var seq = cache.sequence("#000", "#fff", 3);
+
+    cache.invalidate();
+    t.deepEqual(support.pixels(seq.frameAt(1)), [ 255, 255, 255, 255 ]);
+    t.equal(cache.tintsProcessed, 4);
+    t.equal(pinned(cache), 1);
+
+    cache.clear();
+    t.deepEqual(support.pixels(seq.frameAt(0)), [ 0, 0, 0, 255 ]);
+    t.end();
+});
+
+test('frameAt() returns the source until it is ready', function(t) {
+    var source = support.fromPixels(1, 1, [ 255, 255, 255, 255 ]);
+    source.complete = false;
+
+    var cache = create({}, source);
+    var seq = cache.sequence("#000", "#fff", 2);
+    t.equal(seq.frameAt(0), source);
+
+    source.complete = true;
+    t.deepEqual(support.pixels(seq.frameAt(0)), [ 0, 0, 0, 255 ]);
+    t.end();
+});
+
+test('checks the steps', function(t) {
+    var cache = create({ size: 4 });
+    t.throws(function() {
+        cache.sequence("#000", "#fff", 1);
+    }, /steps/);
+    t.throws(function() {
+        cache.sequence("#000", "#fff", 2.5);
+    }, /steps/);
+    t.throws(function() {
+        cache.sequence("#000", "#fff", 5);
+    }, /size 4/);
+    t.end();
+});
+
+test('release() keeps pins it did not add', function(t) {
+    var cache = create();
+    cache.cache("#000", true);
+    var a = cache.sequence("#000", "#fff", 3),
+        b = cache.sequence("#000", "#fff", 3);
+
+    a.release();
+    t.equal(pinned(cache), 3, 'still held by the other sequence');
+    b.release();
+    t.equal(pinned(cache), 1, 'the tint pinned with cache()');
+    t.ok(cache.descriptors[ cache.tints.indexOf(0) ].pinned);
+
+    var c = cache.sequence("#000", "#fff", 3);
+    t.ok(cache.unpin(255, 255, 255));
+    t.equal(pinned(cache), 3, 'unpin() leaves a held tint pinned');
+    c.release();
+    t.equal(pinned(cache), 1);
+    t.end();
+});
+
+test('a strip that does not fit pins nothing', function(t) {
+    var cache = create({ size: 4 });
+    cache.cache(1, 0, 0, true);
+    cache.cache(2, 0, 0, true);
+
+    t.throws(function() {
+        cache.sequence("#000", "#fff", 3);
+    }, /pinned/);
+    t.equal(pinned(cache), 2, 'only the tints pinned with cache()');
+    cache.tinted(3, 0, 0);
+    cache.tinted(4, 0, 0);
+    t.equal(cache.tintsProcessed, 6, 'the partial strip can be evicted');
+    t.end();
+});
@@ -0,0 +1,77 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+
+function create(options) {
+    return createCache(support.fromPixels(2, 2, [
+        255, 255, 255, 255,  255, 255, 255, 255,
+        255, 255, 255, 255,  255, 255, 255, 255
+    ]), options);
+}
+
+test('counts hits, misses and evictions', function(t) {
+    var cache = create({ size: 2 });
+    cache.tinted(1, 0, 0);
+    cache.tinted(1, 0, 0);
+    cache.tinted(2, 0, 0);
+    cache.tinted(3, 0, 0);
+
+    var stats = cache.stats();
+    t.equal(stats.hits, 1);
+    t.equal(stats.misses, 3);
+    t.equal(stats.evictions, 1);
+    t.equal(stats.fuzzyHits, 0);
+    t.equal(stats.averageFuzzyError, 0);
+    t.equal(stats.bytes, 2 * (2 * 2 * 4) * 2, 'two canvases and their ImageData');
+    t.ok(stats.pixelTime >= 0);
+    t.equal(stats.compositeTime, 0);
+
+    cache.resetStats();
+    stats = cache.stats();
+    t.equal(stats.hits + stats.misses + stats.evictions, 0);
+    t.end();
+});
+
+test('measures the error of fuzzy hits', function(t) {
+    var cache = create({ fuzziness: 10 });
+    cache.tinted(100, 100, 100);
+    cache.tinted(100, 100, 100);
+    cache.tinted(102, 100, 100);
+    cache.tinted(104, 100, 100);
+
+    var stats = cache.stats();
+    t.equal(stats.hits, 3);
+    t.equal(stats.fuzzyHits, 2);
+    t.ok(stats.averageFuzzyError > 0 && stats.averageFuzzyError < 10);
+    t.end();
+});
+
+test('calls onMiss and onEvict', function(t) {
+    var misses = [],
+        evictions = [];
+
+    var cache = create({
+        size: 1,
+        onMiss: function(info) {
+            misses.push(info);
+        },
+        onEvict: function(info) {
+            evictions.push(info);
+        }
+    });
+
+    cache.tinted(10, 20, 30, 40);
+    cache.tinted(10, 20, 30, 40);
+    cache.tinted(50, 60, 70);
+
+    t.equal(misses.length, 2);
+    t.equal(misses[0].r, 10);
+    t.equal(misses[0].a, 40);
+    t.equal(misses[0].frame, null);
+    t.ok(misses[0].time >= 0);
+
+    t.equal(evictions.length, 1);
+    t.deepEqual([ evictions[0].r, evictions[0].g, evictions[0].b, evictions[0].a ], [ 10, 20, 30, 40 ]);
+    t.equal(evictions[0].hits, 2);
+    t.end();
+});
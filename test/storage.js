@@ -0,0 +1,127 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//a fake createImageBitmap which resolves when flush() is called
+function bitmaps() {
+    var pending = [];
+    var create = function(canvas) {
+        var bitmap = {
+            width: canvas.width,
+            height: canvas.height,
+            closed: false,
+            close: function() {
+                this.closed = true;
+            }
+        };
+        create.made.push(bitmap);
+        return new Promise(function(resolve) {
+            pending.push(function() {
+                resolve(bitmap);
+            });
+        });
+    };
+    create.made = [];
+    create.flush = function() {
+        pending.splice(0).forEach(function(fn) { fn(); });
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 0);
+        });
+    };
+    return create;
+}
+
+function create(options) {
+    return createCache(support.fromPixels(1, 1, [ 255, 255, 255, 255 ]), options);
+}
+
+test('canvas storage returns the canvas', function(t) {
+    var cache = create();
+    t.equal(cache.storage, TintCache.Storage.CANVAS);
+    t.notOk(cache.isStored(255, 0, 0));
+    t.equal(cache.tinted(255, 0, 0).width, 1);
+    t.ok(cache.isStored(255, 0, 0));
+    t.throws(function() {
+        create({ storage: "webgl" });
+    });
+    t.end();
+});
+
+test('imagebitmap storage swaps in the bitmap when it is ready', function(t) {
+    var createImageBitmap = bitmaps();
+    var cache = create({ storage: TintCache.Storage.IMAGE_BITMAP, createImageBitmap: createImageBitmap });
+
+    var canvas = cache.tinted(255, 0, 0);
+    t.deepEqual(support.pixels(canvas), [ 255, 0, 0, 255 ], 'the canvas is drawable right away');
+    t.notOk(cache.isStored(255, 0, 0));
+
+    createImageBitmap.flush().then(function() {
+        t.ok(cache.isStored(255, 0, 0));
+        t.equal(cache.tinted(255, 0, 0), createImageBitmap.made[0]);
+        t.end();
+    });
+});
+
+test('bitmaps are closed on eviction and destroy()', function(t) {
+    var createImageBitmap = bitmaps();
+    var cache = create({ size: 1, storage: TintCache.Storage.IMAGE_BITMAP, createImageBitmap: createImageBitmap });
+    var made = createImageBitmap.made;
+
+    cache.tinted(255, 0, 0);
+    createImageBitmap.flush().then(function() {
+        cache.tinted(0, 255, 0);
+        t.ok(made[0].closed, 'closed on eviction');
+
+        //evicted before it arrives
+        cache.tinted(0, 0, 255);
+        return createImageBitmap.flush();
+    }).then(function() {
+        t.ok(made[1].closed, 'closed when it arrives late');
+        t.notOk(made[2].closed);
+
+        cache.destroy();
+        t.ok(made[2].closed, 'closed on destroy');
+        t.end();
+    });
+});
+
+test('falls back to the canvas without bitmap support', function(t) {
+    var cache = create({ 
+        storage: TintCache.Storage.IMAGE_BITMAP, 
+        createImageBitmap: function() { 
+            return null; 
+        }
+    });
+    t.equal(cache.tinted(255, 0, 0).width, 1);
+    t.notOk(cache.isStored(255, 0, 0));
+    t.end();
+});
+
+test('image storage loads the tint from a data URL', function(t) {
+    var images = [];
+    var cache = create({
+        storage: TintCache.Storage.IMAGE,
+        createImage: function() {
+            var image = {};
+            images.push(image);
+            return image;
+        },
+        createCanvas: function(width, height) {
+            var canvas = support.createCanvas(width, height);
+            canvas.toDataURL = function() {
+                return "data:image/png;base64,";
+            };
+            return canvas;
+        }
+    });
+
+    var canvas = cache.tinted(255, 0, 0);
+    t.equal(images[0].src, "data:image/png;base64,");
+    t.equal(cache.tinted(255, 0, 0), canvas, 'the canvas until the image loads');
+
+    images[0].onload();
+    t.ok(cache.isStored(255, 0, 0));
+    t.equal(cache.tinted(255, 0, 0), images[0]);
+    t.end();
+});
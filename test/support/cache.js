@@ -0,0 +1,29 @@
+//Creates the TintCache (or TintManager) under test with fuzziness and
+//rounding off and the headless canvas, unless the options say otherwise.
+
+var support = require('./canvas');
+var TintCache = require('../../');
+var TintManager = require('../../TintManager');
+
+var DEFAULTS = {
+    fuzziness: 0,
+    rounding: 0,
+    createCanvas: support.createCanvas
+};
+
+function defaults(options) {
+    options = options || {};
+    for (var key in DEFAULTS) {
+        if (options[key] === undefined)
+            options[key] = DEFAULTS[key];
+    }
+    return options;
+}
+
+module.exports = function createCache(source, options) {
+    return new TintCache(source, defaults(options));
+};
+
+module.exports.manager = function createManager(options) {
+    return new TintManager(defaults(options));
+};
@@ -0,0 +1,271 @@
+/*
+ * A small, pure JavaScript implementation of the parts of the Canvas 2D API
+ * that TintCache uses, so the tests can run headless in Node. Pixels are
+ * stored as straight (non-premultiplied) RGBA bytes like ImageData, and
+ * compositing is done per-pixel with premultiplied floats.
+ */
+
+function ImageData(width, height, data) {
+    this.width = width;
+    this.height = height;
+    this.data = data || new Uint8ClampedArray(width * height * 4);
+}
+
+function parseColor(style) {
+    var m = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(style);
+    if (m)
+        return [ +m[1], +m[2], +m[3], m[4] === undefined ? 255 : Math.round(+m[4] * 255) ];
+    m = /^#([0-9a-f]{6})$/i.exec(style);
+    if (m) {
+        var hex = parseInt(m[1], 16);
+        return [ hex >> 16 & 0xff, hex >> 8 & 0xff, hex & 0xff, 255 ];
+    }
+    throw new Error("unsupported fillStyle: " + style);
+}
+
+//Each operation takes premultiplied source and destination
+//components (0-1) and their alphas, returning the result component.
+var COMPOSITE = {
+    "source-over":      function(s, sa, d, da) { return s + d * (1 - sa); },
+    "source-atop":      function(s, sa, d, da) { return s * da + d * (1 - sa); },
+    "source-in":        function(s, sa, d, da) { return s * da; },
+    "source-out":       function(s, sa, d, da) { return s * (1 - da); },
+    "destination-over": function(s, sa, d, da) { return d + s * (1 - da); },
+    "destination-atop": function(s, sa, d, da) { return d * sa + s * (1 - da); },
+    "destination-in":   function(s, sa, d, da) { return d * sa; },
+    "destination-out":  function(s, sa, d, da) { return d * (1 - sa); },
+    "copy":             function(s, sa, d, da) { return s; },
+    "lighter":          function(s, sa, d, da) { return Math.min(1, s + d); },
+    "multiply":         function(s, sa, d, da) { return s * d + s * (1 - da) + d * (1 - sa); },
+    "screen":           function(s, sa, d, da) { return s + d - s * d; }
+};
+
+//the resulting alpha for each operation
+var COMPOSITE_ALPHA = {
+    "source-atop":      function(sa, da) { return da; },
+    "source-in":        function(sa, da) { return sa * da; },
+    "source-out":       function(sa, da) { return sa * (1 - da); },
+    "destination-atop": function(sa, da) { return sa; },
+    "destination-in":   function(sa, da) { return sa * da; },
+    "destination-out":  function(sa, da) { return da * (1 - sa); },
+    "copy":             function(sa, da) { return sa; },
+    "lighter":          function(sa, da) { return Math.min(1, sa + da); }
+};
+
+function sourceOverAlpha(sa, da) {
+    return sa + da * (1 - sa);
+}
+
+//these operations clear destination pixels outside of the drawn area
+var UNBOUNDED = { "source-in": true, "source-out": true, "destination-in": true,
+                  "destination-atop": true, "copy": true };
+
+function Context(canvas) {
+    this.canvas = canvas;
+    this.globalCompositeOperation = "source-over";
+    this.globalAlpha = 1;
+    this.fillStyle = "#000000";
+    this._stack = [];
+}
+
+Context.prototype.save = function() {
+    this._stack.push({
+        globalCompositeOperation: this.globalCompositeOperation,
+        globalAlpha: this.globalAlpha,
+        fillStyle: this.fillStyle
+    });
+};
+
+Context.prototype.restore = function() {
+    var state = this._stack.pop();
+    if (!state)
+        return;
+    for (var k in state)
+        this[k] = state[k];
+};
+
+Context.prototype.createImageData = function(width, height) {
+    return new ImageData(width, height);
+};
+
+Context.prototype.getImageData = function(x, y, width, height) {
+    var out = new ImageData(width, height),
+        canvas = this.canvas;
+    for (var j=0; j<height; j++) {
+        for (var i=0; i<width; i++) {
+            var sx = x + i, sy = y + j;
+            if (sx < 0 || sy < 0 || sx >= canvas.width || sy >= canvas.height)
+                continue;
+            var from = (sy * canvas.width + sx) * 4,
+                to = (j * width + i) * 4;
+            for (var k=0; k<4; k++)
+                out.data[to + k] = canvas._data[from + k];
+        }
+    }
+    return out;
+};
+
+Context.prototype.putImageData = function(imageData, x, y) {
+    var canvas = this.canvas;
+    for (var j=0; j<imageData.height; j++) {
+        for (var i=0; i<imageData.width; i++) {
+            var dx = x + i, dy = y + j;
+            if (dx < 0 || dy < 0 || dx >= canvas.width || dy >= canvas.height)
+                continue;
+            var from = (j * imageData.width + i) * 4,
+                to = (dy * canvas.width + dx) * 4;
+            for (var k=0; k<4; k++)
+                canvas._data[to + k] = imageData.data[from + k];
+        }
+    }
+};
+
+Context.prototype.clearRect = function(x, y, width, height) {
+    var canvas = this.canvas;
+    for (var j=Math.max(0, y); j<Math.min(canvas.height, y + height); j++) {
+        for (var i=Math.max(0, x); i<Math.min(canvas.width, x + width); i++) {
+            var idx = (j * canvas.width + i) * 4;
+            canvas._data[idx] = canvas._data[idx+1] = canvas._data[idx+2] = canvas._data[idx+3] = 0;
+        }
+    }
+};
+
+Context.prototype.fillRect = function(x, y, width, height) {
+    var color = parseColor(this.fillStyle);
+    this._composite(x, y, width, height, function() {
+        return color;
+    });
+};
+
+//patterns aren't drawn; they just record what they were made from
+Context.prototype.createPattern = function(image, repetition) {
+    return { image: image, repetition: repetition };
+};
+
+Context.prototype.drawImage = function(image, sx, sy, sw, sh, dx, dy, dw, dh) {
+    if (arguments.length === 3) {
+        dx = sx; dy = sy;
+        sx = 0; sy = 0;
+        sw = dw = image.width;
+        sh = dh = image.height;
+    } else if (arguments.length === 5) {
+        dx = sx; dy = sy; dw = sw; dh = sh;
+        sx = 0; sy = 0;
+        sw = image.width;
+        sh = image.height;
+    }
+
+    var data = image._data,
+        rgba = [0, 0, 0, 0];
+
+    //nearest neighbour sampling
+    this._composite(dx, dy, dw, dh, function(i, j) {
+        var x = Math.floor(sx + (i + 0.5) * sw / dw),
+            y = Math.floor(sy + (j + 0.5) * sh / dh);
+        if (x < 0 || y < 0 || x >= image.width || y >= image.height)
+            return null;
+        var idx = (y * image.width + x) * 4;
+        rgba[0] = data[idx];
+        rgba[1] = data[idx+1];
+        rgba[2] = data[idx+2];
+        rgba[3] = data[idx+3];
+        return rgba;
+    });
+};
+
+Context.prototype._composite = function(x, y, width, height, source) {
+    var canvas = this.canvas,
+        op = this.globalCompositeOperation,
+        blend = COMPOSITE[op],
+        blendAlpha = COMPOSITE_ALPHA[op] || sourceOverAlpha;
+    if (!blend)
+        throw new Error("unsupported globalCompositeOperation: " + op);
+
+    for (var j=0; j<canvas.height; j++) {
+        for (var i=0; i<canvas.width; i++) {
+            var inside = i >= x && j >= y && i < x + width && j < y + height;
+            var color = inside ? source(i - x, j - y) : null;
+            if (!color && !UNBOUNDED[op])
+                continue;
+
+            var idx = (j * canvas.width + i) * 4,
+                da = canvas._data[idx+3] / 255,
+                sa = color ? (color[3] / 255) * this.globalAlpha : 0;
+
+            var outA = blendAlpha(sa, da);
+            for (var k=0; k<3; k++) {
+                var s = color ? (color[k] / 255) * sa : 0,
+                    d = (canvas._data[idx+k] / 255) * da;
+                var out = blend(s, sa, d, da);
+                canvas._data[idx+k] = outA > 0 ? Math.round(out / outA * 255) : 0;
+            }
+            canvas._data[idx+3] = Math.round(outA * 255);
+        }
+    }
+};
+
+/**
+ * A headless canvas. Like a real canvas, changing the width or
+ * height clears its pixels.
+ */
+function Canvas(width, height) {
+    this._width = width || 0;
+    this._height = height || 0;
+    this._data = new Uint8ClampedArray(this._width * this._height * 4);
+    this._context = null;
+}
+
+Object.defineProperty(Canvas.prototype, "width", {
+    get: function() { return this._width; },
+    set: function(width) {
+        this._width = width;
+        this._data = new Uint8ClampedArray(this._width * this._height * 4);
+    }
+});
+
+Object.defineProperty(Canvas.prototype, "height", {
+    get: function() { return this._height; },
+    set: function(height) {
+        this._height = height;
+        this._data = new Uint8ClampedArray(this._width * this._height * 4);
+    }
+});
+
+Canvas.prototype.getContext = function(type) {
+    if (type !== "2d")
+        return null;
+    if (!this._context)
+        this._context = new Context(this);
+    return this._context;
+};
+
+function createCanvas(width, height) {
+    return new Canvas(width, height);
+}
+
+//Creates a canvas from an array of RGBA bytes, to use as a tint source
+function fromPixels(width, height, pixels) {
+    var canvas = new Canvas(width, height);
+    canvas._data.set(pixels);
+    return canvas;
+}
+
+//Returns the RGBA bytes of a canvas as a plain array
+function pixels(canvas) {
+    return Array.prototype.slice.call(canvas._data);
+}
+
+//ImageBuffer detects its capabilities from a DOM canvas when it is first required
+if (typeof document === "undefined") {
+    global.document = {
+        createElement: function() {
+            return new Canvas();
+        }
+    };
+}
+
+module.exports.Canvas = Canvas;
+module.exports.ImageData = ImageData;
+module.exports.createCanvas = createCanvas;
+module.exports.fromPixels = fromPixels;
+module.exports.pixels = pixels;
@@ -0,0 +1,59 @@
+//A stub WebGLRenderingContext which records the texture calls
+//that TintTextures makes.
+
+function createGL() {
+    var nextId = 1;
+    var gl = {
+        TEXTURE_2D: 0x0DE1,
+        RGBA: 0x1908,
+        UNSIGNED_BYTE: 0x1401,
+        LINEAR: 0x2601,
+        NEAREST: 0x2600,
+        CLAMP_TO_EDGE: 0x812F,
+        TEXTURE_MIN_FILTER: 0x2801,
+        TEXTURE_MAG_FILTER: 0x2800,
+        TEXTURE_WRAP_S: 0x2802,
+        TEXTURE_WRAP_T: 0x2803,
+        UNPACK_PREMULTIPLY_ALPHA_WEBGL: 0x9241,
+
+        //the live textures, the uploads, and the bound texture
+        textures: [],
+        uploads: [],
+        bound: null,
+
+        createTexture: function() {
+            var texture = { id: nextId++, params: {}, image: null };
+            gl.textures.push(texture);
+            return texture;
+        },
+
+        deleteTexture: function(texture) {
+            var i = gl.textures.indexOf(texture);
+            if (i === -1)
+                throw new Error("texture " + texture.id + " was already deleted");
+            gl.textures.splice(i, 1);
+            if (gl.bound === texture)
+                gl.bound = null;
+        },
+
+        bindTexture: function(target, texture) {
+            gl.bound = texture;
+        },
+
+        pixelStorei: function(name, value) {
+            gl.premultiply = value;
+        },
+
+        texImage2D: function(target, level, internalFormat, format, type, image) {
+            gl.bound.image = image;
+            gl.uploads.push({ texture: gl.bound, image: image });
+        },
+
+        texParameteri: function(target, name, value) {
+            gl.bound.params[name] = value;
+        }
+    };
+    return gl;
+}
+
+module.exports = createGL;
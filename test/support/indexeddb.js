@@ -0,0 +1,92 @@
+//A minimal in-memory IDBFactory, with just what IndexedDBStore uses.
+//Requests complete asynchronously, like the real thing.
+
+function request(fn) {
+    var req = { result: undefined, error: null, onsuccess: null, onerror: null };
+    setTimeout(function() {
+        try {
+            req.result = fn();
+        } catch (e) {
+            req.error = e;
+            if (req.onerror)
+                req.onerror();
+            return;
+        }
+        if (req.onsuccess)
+            req.onsuccess();
+    }, 0);
+    return req;
+}
+
+function ObjectStore(data) {
+    this.data = data;
+}
+
+ObjectStore.prototype.get = function(key) {
+    var data = this.data;
+    return request(function() {
+        return data[key];
+    });
+};
+
+ObjectStore.prototype.put = function(value, key) {
+    var data = this.data;
+    return request(function() {
+        data[key] = value;
+        return key;
+    });
+};
+
+ObjectStore.prototype.delete = function(key) {
+    var data = this.data;
+    return request(function() {
+        delete data[key];
+    });
+};
+
+ObjectStore.prototype.clear = function() {
+    var data = this.data;
+    return request(function() {
+        for (var k in data)
+            delete data[k];
+    });
+};
+
+function Database() {
+    this.stores = {};
+}
+
+Database.prototype.createObjectStore = function(name) {
+    this.stores[name] = {};
+};
+
+Database.prototype.transaction = function(name) {
+    var stores = this.stores;
+    return {
+        objectStore: function() {
+            return new ObjectStore(stores[name]);
+        }
+    };
+};
+
+module.exports = function createIndexedDB() {
+    var databases = {};
+    return {
+        databases: databases,
+        open: function(name) {
+            var req = { result: undefined, onsuccess: null, onerror: null, onupgradeneeded: null };
+            setTimeout(function() {
+                var db = databases[name],
+                    upgrade = !db;
+                if (upgrade)
+                    db = databases[name] = new Database();
+                req.result = db;
+                if (upgrade && req.onupgradeneeded)
+                    req.onupgradeneeded();
+                if (req.onsuccess)
+                    req.onsuccess();
+            }, 0);
+            return req;
+        }
+    };
+};
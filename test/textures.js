@@ -0,0 +1,91 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var createGL = require('./support/gl');
+var TintTextures = require('../TintTextures');
+
+function create(options) {
+    return createCache(support.fromPixels(2, 1, [
+        255, 255, 255, 255,
+        255, 128,   0, 255
+    ]), options);
+}
+
+test('uploads each tint once', function(t) {
+    var gl = createGL();
+    var cache = create({ size: 10 });
+    var textures = new TintTextures(cache, gl, { filter: gl.NEAREST });
+
+    var red = textures.texture(255, 0, 0);
+    t.equal(gl.bound, red);
+    t.equal(red.image, cache.tinted(255, 0, 0));
+    t.equal(red.params[gl.TEXTURE_MIN_FILTER], gl.NEAREST);
+    t.equal(red.params[gl.TEXTURE_WRAP_S], gl.CLAMP_TO_EDGE);
+
+    t.equal(textures.texture("#ff0000"), red);
+    t.equal(gl.uploads.length, 1, 'hits are not uploaded again');
+
+    t.notEqual(textures.texture(0, 0, 255), red);
+    t.equal(gl.textures.length, 2);
+    t.end();
+});
+
+test('deletes textures of evicted tints', function(t) {
+    var gl = createGL();
+    var cache = create({ size: 1 });
+    var textures = new TintTextures(cache, gl);
+
+    var red = textures.texture(255, 0, 0);
+    var green = textures.texture(0, 255, 0);
+    t.notEqual(green, red);
+    t.equal(gl.textures.indexOf(red), -1, 'the evicted texture is deleted');
+    t.equal(gl.textures.length, 1);
+
+    cache.remove(0, 255, 0);
+    t.equal(gl.textures.length, 0);
+    t.end();
+});
+
+test('deletes every texture on clear, reset and destroy', function(t) {
+    var gl = createGL();
+    var cache = create({ size: 10 });
+    var textures = new TintTextures(cache, gl);
+
+    textures.texture(255, 0, 0);
+    textures.texture(0, 255, 0);
+    cache.clear();
+    t.equal(gl.textures.length, 0, 'clear');
+
+    textures.texture(255, 0, 0);
+    cache.dirty = true;
+    textures.texture(0, 255, 0);
+    t.equal(gl.textures.length, 1, 'the source changed');
+
+    cache.destroy();
+    t.equal(gl.textures.length, 0, 'destroy');
+
+    textures.texture(255, 0, 0);
+    textures.destroy();
+    t.equal(gl.textures.length, 0);
+    cache.clear();
+    t.end();
+});
+
+test('uploads regions of an atlas', function(t) {
+    var gl = createGL();
+    var cache = create({ atlas: true });
+    var textures = new TintTextures(cache, gl);
+
+    cache.tinted(0, 255, 0);
+    var red = textures.texture(255, 0, 0);
+    t.deepEqual(support.pixels(red.image), [ 255, 0, 0, 255, 255, 0, 0, 255 ]);
+    t.end();
+});
+
+test('returns null until the source is ready', function(t) {
+    var gl = createGL();
+    var cache = createCache(support.createCanvas(0, 0));
+    t.equal(new TintTextures(cache, gl).texture(255, 0, 0), null);
+    t.equal(gl.textures.length, 0);
+    t.end();
+});
@@ -0,0 +1,145 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+
+//a canvas which fires events like an image, and is "loading" until load()
+function image(width, height, pixels) {
+    var img = support.fromPixels(width, height, pixels),
+        listeners = {};
+    img.complete = false;
+    img.addEventListener = function(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+    };
+    img.removeEventListener = function(type, fn) {
+        var list = listeners[type] || [];
+        if (list.indexOf(fn) !== -1)
+            list.splice(list.indexOf(fn), 1);
+    };
+    img.emit = function(type) {
+        (listeners[type] || []).slice().forEach(function(fn) { fn(); });
+    };
+    img.listeners = listeners;
+    return img;
+}
+
+test('tracks the version of a source canvas', function(t) {
+    var canvas = support.fromPixels(1, 1, [ 255, 255, 255, 255 ]);
+    var cache = createCache(canvas, { track: true });
+
+    t.deepEqual(support.pixels(cache.tinted(255, 0, 0)), [ 255, 0, 0, 255 ]);
+
+    canvas._data.set([ 128, 128, 128, 255 ]);
+    t.deepEqual(support.pixels(cache.tinted(255, 0, 0)), [ 255, 0, 0, 255 ], 'stale until the version changes');
+
+    canvas.version = 1;
+    t.deepEqual(support.pixels(cache.tinted(255, 0, 0)), [ 128, 0, 0, 255 ]);
+    t.end();
+});
+
+test('tracks the size, src and time of a source', function(t) {
+    var video = support.fromPixels(1, 1, [ 255, 255, 255, 255 ]);
+    video.currentTime = 0;
+    var cache = createCache(video, { track: true });
+
+    cache.tinted(255, 0, 0);
+    t.notOk(cache.dirty);
+
+    video.currentTime = 1;
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tintsProcessed, 2, 'a new video frame is re-read');
+
+    video.src = "other.png";
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tintsProcessed, 3, 'a new src is re-read');
+
+    video.width = 2;
+    t.equal(cache.tinted(255, 0, 0).width, 2, 'a new size is re-read');
+    t.end();
+});
+
+test('only tracks when asked', function(t) {
+    var canvas = support.fromPixels(1, 1, [ 255, 255, 255, 255 ]);
+    var cache = createCache(canvas);
+
+    cache.tinted(255, 0, 0);
+    canvas.version = 1;
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tintsProcessed, 1);
+
+    cache.invalidate();
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tintsProcessed, 2, 'invalidate() marks the cache dirty');
+    t.end();
+});
+
+test('listens for load events while tracking', function(t) {
+    var img = image(1, 1, [ 255, 255, 255, 255 ]);
+    var cache = createCache(img, { track: true });
+
+    cache.tinted(255, 0, 0);
+    img.emit("load");
+    t.ok(cache.dirty);
+
+    cache.destroy();
+    t.equal(img.listeners.load.length, 0, 'destroy() removes the listeners');
+    t.end();
+});
+
+test('whenReady() waits for an image to load', function(t) {
+    var img = image(1, 1, [ 255, 255, 255, 255 ]);
+    var cache = createCache(img);
+
+    t.notOk(cache.ready);
+    t.equal(cache.tinted(255, 0, 0), img, 'the source is returned until it loads');
+
+    cache.whenReady().then(function(result) {
+        t.equal(result, cache);
+        t.deepEqual(support.pixels(cache.tinted(255, 0, 0)), [ 255, 0, 0, 255 ]);
+        t.equal(img.listeners.load.length, 0, 'the listeners are removed');
+        t.end();
+    });
+
+    img.complete = true;
+    img.emit("load");
+});
+
+test('whenReady() rejects if the image fails to load', function(t) {
+    var img = image(1, 1, [ 255, 255, 255, 255 ]);
+    createCache(img).whenReady().then(function() {
+        t.fail('should not resolve');
+        t.end();
+    }, function(err) {
+        t.ok(err instanceof Error);
+        t.end();
+    });
+    img.emit("error");
+});
+
+test('whenReady() resolves without a load event', function(t) {
+    var img = image(1, 1, [ 255, 255, 255, 255 ]);
+    var cache = createCache(img);
+
+    cache.whenReady().then(function(result) {
+        t.equal(result, cache);
+        t.equal(img.listeners.load.length, 0, 'the listeners are removed');
+        t.end();
+    });
+
+    setTimeout(function() {
+        img.complete = true;
+    }, 5);
+});
+
+test('whenReady() polls a canvas until it has a size', function(t) {
+    var canvas = support.createCanvas(0, 0);
+    var cache = createCache(canvas);
+
+    cache.whenReady().then(function() {
+        t.equal(canvas.width, 4);
+        t.end();
+    });
+
+    setTimeout(function() {
+        canvas.width = canvas.height = 4;
+    }, 5);
+});
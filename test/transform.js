@@ -0,0 +1,113 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//an opaque red, an opaque orange, and a semi-transparent gray pixel
+var SOURCE = [
+    255,   0,   0, 255,
+    255, 128,   0, 255,
+    128, 128, 128, 128
+];
+
+function create(options) {
+    return createCache(support.fromPixels(3, 1, SOURCE), options);
+}
+
+//the hue is quantized to 360/256 degree steps, so allow a little error
+function near(t, actual, expected, msg) {
+    var ok = actual.length === expected.length;
+    for (var i=0; i<expected.length && ok; i++)
+        ok = Math.abs(actual[i] - expected[i]) <= 3;
+    t.ok(ok, (msg || 'pixels match') + ": " + actual + " is about " + expected);
+}
+
+test('rotates the hue', function(t) {
+    var cache = create();
+
+    near(t, support.pixels(cache.transformed({ hue: 120 })), [
+        0, 255, 0, 255,
+        0, 255, 128, 255,
+        128, 128, 128, 128
+    ]);
+    near(t, support.pixels(cache.transformed({ hue: -120 })).slice(0, 4), [ 0, 0, 255, 255 ], 'negative hues wrap around');
+    t.deepEqual(support.pixels(cache.transformed({})), SOURCE, 'the identity leaves the image as-is');
+    t.end();
+});
+
+test('scales the saturation, lightness and alpha', function(t) {
+    var cache = create({ mode: TintCache.Mode.FASTEST });
+
+    t.deepEqual(support.pixels(cache.transformed({ saturation: 0 })).slice(0, 8), [
+        128, 128, 128, 255,
+        128, 128, 128, 255
+    ], 'desaturated');
+    t.deepEqual(support.pixels(cache.transformed({ lightness: 0, alpha: 128 })), [
+        0, 0, 0, 128,
+        0, 0, 0, 128,
+        0, 0, 0, 64
+    ], 'darkened');
+    t.end();
+});
+
+test('transforms are cached apart from tints', function(t) {
+    var cache = create({ size: 10 });
+
+    var shifted = cache.transformed({ hue: 120 });
+    t.equal(cache.transformed({ hue: 120 + 360 }), shifted, 'cached');
+    t.notEqual(cache.tinted(120 / 360 * 256, 128, 128), shifted);
+    t.equal(cache.tintsProcessed, 2);
+    t.end();
+});
+
+test('saturation and lightness go up to 2', function(t) {
+    var cache = create();
+    t.deepEqual(support.pixels(cache.transformed({ lightness: 2 })).slice(0, 4), [ 255, 255, 255, 255 ], 'doubled to white');
+
+    t.throws(function() {
+        cache.transformed({ saturation: 2.5 });
+    }, /from 0 to 2/);
+    t.throws(function() {
+        cache.transformed({ lightness: -1 });
+    }, /from 0 to 2/);
+    t.end();
+});
+
+test('fuzziness applies to the transform', function(t) {
+    var cache = create({ size: 10 });
+    cache.fuzziness = 2;
+
+    var a = cache.transformed({ hue: 90 });
+    t.equal(cache.transformed({ hue: 92 }), a, 'within 2 degrees');
+    t.equal(cache.stats().fuzzyHits, 1);
+    t.notEqual(cache.transformed({ hue: 120 }), a);
+    t.notEqual(cache.transformed({ hue: 90, saturation: 1.1 }), a, '10 percent of saturation');
+    t.equal(cache.transformed({ hue: 0 }), cache.transformed({ hue: 359 }), 'around the circle');
+
+    cache.deterministic = true;
+    t.notEqual(cache.transformed({ hue: 92 }), a, 'exact when deterministic');
+    t.end();
+});
+
+test('rounding quantizes the hue', function(t) {
+    var cache = create();
+    cache.rounding = 8;
+
+    var shifted = cache.transformed({ hue: 90 });
+    t.equal(cache.transformed({ hue: 93 }), shifted);
+    t.equal(cache.transformed({ hue: 359 }), cache.transformed({ hue: 0 }), 'the hue wraps when rounded');
+    t.end();
+});
+
+test('transforms skip the palette', function(t) {
+    var cache = create({ palette: [ 0x000000 ] });
+    near(t, support.pixels(cache.transformed({ hue: 120 })).slice(0, 4), [ 0, 255, 0, 255 ]);
+    t.end();
+});
+
+test('transforms frames', function(t) {
+    var cache = create();
+    cache.addFrame("red", 0, 0, 1, 1);
+    near(t, support.pixels(cache.transformed("red", { hue: 240 })), [ 0, 0, 255, 255 ]);
+    t.end();
+});
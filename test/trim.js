@@ -0,0 +1,175 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+//each tint of this source holds 16 bytes in BEST mode: a canvas and its ImageData
+var TINT_BYTES = 2 * 1 * 4 * 2;
+
+function create(options) {
+    return createCache(support.fromPixels(2, 1, [
+        255, 255, 255, 255,
+        255, 128,   0, 255
+    ]), options);
+}
+
+function descriptors(cache) {
+    return cache.descriptors.filter(Boolean).length;
+}
+
+//a document which can be hidden, and fires visibilitychange
+function fakeDocument() {
+    var listeners = [];
+    return {
+        hidden: false,
+        addEventListener: function(type, fn) {
+            if (type === "visibilitychange")
+                listeners.push(fn);
+        },
+        removeEventListener: function(type, fn) {
+            if (listeners.indexOf(fn) !== -1)
+                listeners.splice(listeners.indexOf(fn), 1);
+        },
+        hide: function() {
+            this.hidden = true;
+            listeners.slice().forEach(function(fn) { fn(); });
+        },
+        listeners: listeners
+    };
+}
+
+test('trim() frees spare canvases, then tints by the eviction policy', function(t) {
+    var cache = create({ eviction: "LRU" });
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 255, 0);
+    cache.tinted(0, 0, 255);
+    cache.remove(0, 255, 0);
+    cache.tinted(255, 0, 0);
+    t.equal(cache.stats().bytes, TINT_BYTES * 3);
+
+    t.equal(cache.trim(TINT_BYTES * 2), TINT_BYTES, 'the spare canvas');
+    t.equal(descriptors(cache), 2);
+    t.equal(cache.indexOf(0, 0, 255) !== -1, true, 'both tints stay');
+
+    t.equal(cache.trim(TINT_BYTES), TINT_BYTES);
+    t.equal(cache.indexOf(0, 0, 255), -1, 'the least recently used tint goes');
+    t.notEqual(cache.indexOf(255, 0, 0), -1);
+    t.equal(cache.stats().bytes, TINT_BYTES);
+    t.equal(cache.trim(TINT_BYTES), 0, 'already within budget');
+    t.end();
+});
+
+test('trim() keeps pinned tints', function(t) {
+    var cache = create();
+    cache.cache(255, 0, 0, 255, true);
+    cache.tinted(0, 0, 255);
+
+    t.equal(cache.trim(), TINT_BYTES, 'defaults to freeing everything it can');
+    t.notEqual(cache.indexOf(255, 0, 0), -1);
+    t.equal(descriptors(cache), 1);
+
+    var before = cache.tintsProcessed;
+    cache.tinted(0, 0, 255);
+    t.equal(cache.tintsProcessed, before + 1, 'freed tints are made again');
+    t.end();
+});
+
+test('trim() only counts atlas space as freed with its page', function(t) {
+    var PAGE_BYTES = 16 * 16 * 4;
+    var cache = create({ atlas: { size: 16 }, mode: TintCache.Mode.FASTEST });
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 0, 255);
+    t.equal(cache.stats().bytes, PAGE_BYTES);
+
+    t.equal(cache.trim(PAGE_BYTES - 1), PAGE_BYTES, 'every tint goes, then the page');
+    t.equal(descriptors(cache), 0);
+    t.equal(cache.stats().bytes, 0);
+
+    var best = create({ atlas: { size: 16 }, eviction: "LRU" });
+    best.tinted(255, 0, 0);
+    best.tinted(0, 0, 255);
+    t.equal(best.trim(PAGE_BYTES + 8), 8, 'the ImageData of one tint, not its slot');
+    t.equal(best.stats().bytes, PAGE_BYTES + 8);
+    t.end();
+});
+
+test('tick() only counts atlas space as freed with its page', function(t) {
+    var cache = create({ atlas: { size: 16 }, mode: TintCache.Mode.FASTEST, idle: { frames: 1 } });
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 0, 255);
+
+    t.equal(cache.tick(), 0);
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tick(), 0, 'the page still holds a tint');
+    t.equal(cache.indexOf(0, 0, 255), -1);
+    t.equal(cache.tick(), 16 * 16 * 4, 'the page is freed with the last tint');
+    t.end();
+});
+
+test('tick() frees tints idle for a number of frames', function(t) {
+    var cache = create({ idle: { frames: 2 } });
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 0, 255);
+    cache.cache(0, 255, 0, 255, true);
+
+    t.equal(cache.tick(), 0);
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tick(), 0);
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tick(), TINT_BYTES, 'one tint has been idle for 2 frames');
+    t.equal(cache.indexOf(0, 0, 255), -1);
+    t.notEqual(cache.indexOf(255, 0, 0), -1, 'hot tints stay');
+    t.notEqual(cache.indexOf(0, 255, 0), -1, 'pinned tints stay');
+    t.end();
+});
+
+test('tick() frees tints idle for a time', function(t) {
+    var cache = create({ idle: { time: 1000 } });
+    cache.tinted(255, 0, 0);
+    cache.tinted(0, 0, 255);
+
+    t.equal(cache.tick(0), 0);
+    cache.tinted(255, 0, 0);
+    t.equal(cache.tick(600), 0);
+    t.equal(cache.tick(1000), TINT_BYTES);
+    t.equal(cache.indexOf(0, 0, 255), -1);
+    t.equal(cache.tick(1500), 0);
+    t.equal(cache.tick(1600), TINT_BYTES);
+    t.equal(descriptors(cache), 0);
+    t.end();
+});
+
+test('tick() without an idle policy frees nothing', function(t) {
+    var cache = create();
+    cache.tinted(255, 0, 0);
+    for (var i=0; i<100; i++)
+        t.equal(cache.tick(i * 1000), 0);
+    t.notEqual(cache.indexOf(255, 0, 0), -1);
+    t.end();
+});
+
+test('trimOnHide trims when the page is hidden', function(t) {
+    var doc = global.document = fakeDocument();
+    try {
+        var cache = create({ trimOnHide: TINT_BYTES, eviction: "LRU" });
+        t.equal(doc.listeners.length, 1);
+        cache.tinted(255, 0, 0);
+        cache.tinted(0, 0, 255);
+        cache.tinted(255, 0, 0);
+
+        doc.hide();
+        t.notEqual(cache.indexOf(255, 0, 0), -1, 'the hottest tint stays');
+        t.equal(cache.indexOf(0, 0, 255), -1);
+
+        cache.trimOnHide = true;
+        t.equal(doc.listeners.length, 1);
+        doc.hide();
+        t.equal(descriptors(cache), 0, 'true keeps only pinned tints');
+
+        cache.destroy();
+        t.equal(doc.listeners.length, 0, 'destroy() stops listening');
+    } finally {
+        delete global.document;
+    }
+    t.end();
+});
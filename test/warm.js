@@ -0,0 +1,89 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+
+function create(options) {
+    return createCache(support.fromPixels(1, 1, [ 255, 255, 255, 255 ]), options);
+}
+
+test('gradient() ramps between two colors', function(t) {
+    t.deepEqual(TintCache.gradient([0, 0, 0], { r: 255, g: 100, b: 50, a: 0 }, 3), [
+        [ 0, 0, 0, 255 ],
+        [ 128, 50, 25, 128 ],
+        [ 255, 100, 50, 0 ]
+    ]);
+    t.deepEqual(TintCache.gradient([1, 2, 3], [4, 5, 6], 1), [ [ 1, 2, 3, 255 ] ]);
+    t.end();
+});
+
+test('palette() reads hex colors and joins them', function(t) {
+    t.deepEqual(TintCache.palette([ 0xff8800, [ 1, 2, 3, 4 ] ]), [
+        [ 255, 136, 0, 255 ],
+        [ 1, 2, 3, 4 ]
+    ]);
+    t.deepEqual(TintCache.palette([ 0x000000, 0x0000ff, 0xff00ff ], 1), [
+        [ 0, 0, 0, 255 ],
+        [ 0, 0, 128, 255 ],
+        [ 0, 0, 255, 255 ],
+        [ 128, 0, 255, 255 ],
+        [ 255, 0, 255, 255 ]
+    ]);
+    t.end();
+});
+
+test('warm() caches every color across several slices', function(t) {
+    var cache = create({ size: 10 });
+    var slices = 0;
+    var colors = TintCache.gradient([0, 0, 0], [255, 0, 0], 10);
+
+    cache.warm(colors, {
+        budgetMs: -1,
+        pin: true,
+        schedule: function(fn) {
+            slices++;
+            setTimeout(fn, 0);
+        }
+    }).then(function(result) {
+        t.equal(result, cache);
+        t.equal(slices, 10, 'one color per slice with no budget');
+        t.equal(cache.tintsProcessed, 10);
+        t.ok(cache.descriptors.every(function(d) { return d.pinned; }), 'tints are pinned');
+        t.end();
+    });
+});
+
+test('warm() takes a budget of 0', function(t) {
+    var cache = create({ size: 10 });
+    var slices = 0;
+
+    cache.warm([ [1, 0, 0], [2, 0, 0], [3, 0, 0] ], {
+        budgetMs: 0,
+        schedule: function(fn) {
+            slices++;
+            setTimeout(fn, 0);
+        }
+    }).then(function() {
+        t.equal(slices, 3, 'one color per slice');
+        t.end();
+    });
+});
+
+test('warm() rejects when the cache is full of pinned tints', function(t) {
+    var cache = create({ size: 1 });
+    cache.warm([ [1, 0, 0], [2, 0, 0] ], { pin: true }).then(function() {
+        t.fail('should not resolve');
+        t.end();
+    }, function(err) {
+        t.ok(err instanceof Error);
+        t.end();
+    });
+});
+
+test('warm() resolves immediately with no colors', function(t) {
+    var cache = create();
+    cache.warm([]).then(function(result) {
+        t.equal(result, cache);
+        t.end();
+    });
+});
@@ -0,0 +1,200 @@
+var test = require('tape');
+var support = require('./support/canvas');
+var createCache = require('./support/cache');
+var TintCache = require('../');
+var handle = require('../lib/worker').handle;
+
+var SOURCE = [
+    255, 255, 255, 255,
+    255, 128,   0, 255,
+    128, 128, 128, 128
+];
+
+//a worker which runs lib/worker.js on the next tick, and
+//checks that the pixels are transferred; a worker that
+//never replies can be made with `silent`
+function createWorker(silent) {
+    var listeners = {};
+    return {
+        sent: 0,
+        addEventListener: function(type, fn) {
+            (listeners[type] = listeners[type] || []).push(fn);
+        },
+        removeEventListener: function(type, fn) {
+            listeners[type].splice(listeners[type].indexOf(fn), 1);
+        },
+        postMessage: function(data, transfer) {
+            this.sent++;
+            if (transfer[0] !== data.pixels)
+                throw new Error("pixels should be transferred");
+            if (silent)
+                return;
+            var self = this;
+            setTimeout(function() {
+                handle(data, function(reply) {
+                    self.emit("message", { data: reply });
+                });
+            }, 0);
+        },
+        emit: function(type, e) {
+            (listeners[type] || []).slice().forEach(function(fn) {
+                fn(e);
+            });
+        },
+        listeners: listeners
+    };
+}
+
+function create(options) {
+    return createCache(support.fromPixels(3, 1, SOURCE), options);
+}
+
+test('tintedAsync() tints in the worker', function(t) {
+    var worker = createWorker();
+    var cache = create({ worker: worker });
+    var reference = create();
+
+    var first = cache.tintedAsync(10, 200, 100, 128);
+    t.equal(cache.tintedAsync(10, 200, 100, 128), first, 'requests in flight are shared');
+
+    first.then(function(canvas) {
+        t.equal(worker.sent, 1);
+        t.deepEqual(support.pixels(canvas), support.pixels(reference.tinted(10, 200, 100, 128)), 'matches the main thread');
+        t.equal(cache.tinted(10, 200, 100, 128), canvas, 'the tint is cached');
+        return cache.tintedAsync(10, 200, 100, 128);
+    }).then(function(canvas) {
+        t.equal(worker.sent, 1, 'hits resolve from the cache');
+        t.end();
+    });
+});
+
+test('tinted() returns a placeholder while the worker runs', function(t) {
+    var worker = createWorker();
+    var cache = create({ worker: worker });
+
+    t.equal(cache.tinted(255, 0, 0), cache.source, 'the source, with nothing cached');
+
+    cache.tintedAsync(255, 0, 0).then(function(red) {
+        t.equal(cache.tinted(250, 0, 0), red, 'the nearest tint');
+        return cache.tintedAsync(250, 0, 0);
+    }).then(function(canvas) {
+        t.equal(cache.tinted(250, 0, 0), canvas, 'swapped for the real tint');
+        t.equal(cache.tintsProcessed, 2);
+        t.end();
+    });
+});
+
+test('placeholders are counted as fuzzy hits', function(t) {
+    var worker = createWorker();
+    var cache = create({ worker: worker });
+
+    cache.tinted(255, 0, 0);
+    t.deepEqual([ cache.stats().hits, cache.stats().misses ], [ 0, 0 ], 'the source is not counted');
+
+    cache.tintedAsync(255, 0, 0).then(function(red) {
+        t.equal(cache.stats().misses, 1, 'the tint made by the worker');
+        var before = cache.descriptors[cache.indexOf(255, 0, 0)].lastUsed;
+
+        t.equal(cache.tinted(250, 0, 0), red);
+        var stats = cache.stats();
+        t.equal(stats.hits, 1);
+        t.equal(stats.fuzzyHits, 1);
+        t.ok(stats.averageFuzzyError > 0);
+        t.ok(cache.descriptors[cache.indexOf(255, 0, 0)].lastUsed > before, 'the placeholder is used');
+        t.end();
+    });
+});
+
+test('tints are requested again if the source changes', function(t) {
+    var worker = createWorker();
+    var cache = create({ worker: worker });
+
+    cache.tintedAsync(255, 0, 0).then(function(canvas) {
+        t.equal(worker.sent, 2);
+        t.deepEqual(support.pixels(canvas).slice(0, 4), [ 0, 0, 0, 255 ]);
+        t.end();
+    });
+
+    cache.source._data.set([ 0, 0, 0, 255 ]);
+    cache.invalidate();
+});
+
+test('tintedAsync() works without a worker', function(t) {
+    var cache = create({ mode: TintCache.Mode.FASTEST, worker: createWorker() });
+    cache.addFrame("orange", 1, 0, 1, 1);
+
+    cache.tintedAsync("orange", 255, 255, 255).then(function(canvas) {
+        t.equal(cache.worker.sent, 0, 'the compositing modes are fast enough');
+        t.equal(canvas.width, 1);
+        cache.destroy();
+        t.equal(cache.worker, null);
+        t.end();
+    });
+});
+
+test('tints in flight are requested again when the worker is swapped', function(t) {
+    var stuck = createWorker(true);
+    var cache = create({ worker: stuck });
+    var reference = create();
+
+    var promise = cache.tintedAsync(10, 200, 100);
+    var worker = createWorker();
+    cache.worker = worker;
+    t.equal(stuck.listeners.message.length, 0, 'the old worker is let go');
+    t.notEqual(cache.tintedAsync(10, 200, 100), promise, 'the request is no longer pending');
+
+    promise.then(function(canvas) {
+        t.equal(worker.sent, 1, 'sent to the new worker');
+        t.deepEqual(support.pixels(canvas), support.pixels(reference.tinted(10, 200, 100)));
+        t.end();
+    });
+});
+
+test('a worker error falls back to the main thread', function(t) {
+    var worker = createWorker(true);
+    var cache = create({ worker: worker });
+    var reference = create();
+
+    var promise = cache.tintedAsync(10, 200, 100);
+    worker.emit("error", {});
+    t.equal(cache.worker, null, 'the worker is removed');
+    t.equal(worker.listeners.error.length, 0);
+
+    promise.then(function(canvas) {
+        t.deepEqual(support.pixels(canvas), support.pixels(reference.tinted(10, 200, 100)));
+        t.equal(cache.tinted(10, 200, 100), canvas, 'the tint is cached');
+        t.end();
+    });
+});
+
+test('tints in flight are rejected when the cache is destroyed', function(t) {
+    var worker = createWorker(true);
+    var cache = create({ worker: worker });
+
+    cache.tinted(255, 0, 0);
+    var promise = cache.tintedAsync(10, 200, 100);
+    cache.destroy();
+
+    promise.then(function() {
+        t.fail('should not resolve');
+        t.end();
+    }, function(e) {
+        t.ok(e instanceof Error, 'rejected');
+        t.equal(worker.listeners.message.length, 0);
+        t.end();
+    });
+});
+
+test('deterministic colors are snapped once for the worker', function(t) {
+    var worker = createWorker();
+    var cache = create({ worker: worker, deterministic: true, fuzziness: 2 });
+
+    cache.tinted(0, 0, 50);
+    cache.tinted(0, 0, 50);
+    cache.tintedAsync(0, 0, 50).then(function(canvas) {
+        t.equal(worker.sent, 1, 'one request');
+        t.equal(cache.tinted(0, 0, 50), canvas, 'then a hit');
+        t.equal(worker.sent, 1);
+        t.end();
+    });
+});